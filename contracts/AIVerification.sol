@@ -0,0 +1,175 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+
+/**
+ * @title AIVerification
+ * @dev Registry of structured quality attestations per dataset hash. Accounts with
+ * VERIFIER_ROLE (e.g. the AI analysis service) post attestations; DataNFT only mints
+ * datasets whose attestation is valid, and only for the attested publisher and CID.
+ */
+contract AIVerification is AccessControl {
+    bytes32 public constant VERIFIER_ROLE = keccak256("VERIFIER_ROLE");
+    uint8 public constant MAX_SCORE = 100;
+
+    // The DataNFT contract this registry gates
+    address public dataNFTContract;
+    // Attestations below this quality score are not valid for minting
+    uint8 public minQualityScore;
+
+    // Attestation input submitted by a verifier
+    struct VerificationInput {
+        bytes32 datasetHash;
+        address publisher;        // The account that submitted the dataset and may mint it
+        bytes32 verificationHash; // Hash of the full analysis output
+        bool isVerified;
+        uint8 qualityScore;       // 0-100
+        uint256 anomalies;
+        uint256 duplicates;
+        uint8 diversity;          // 0-100
+        uint8 biasScore;          // 0-100, lower is better
+        string datasetCID;        // The exact upload that was analysed
+        string analysisReport;    // IPFS CID of the analysis report
+    }
+
+    // Stored attestation for a dataset hash
+    struct Attestation {
+        address publisher;
+        bytes32 verificationHash;
+        bool isVerified;
+        bool revoked;
+        uint8 qualityScore;
+        uint256 anomalies;
+        uint256 duplicates;
+        uint8 diversity;
+        uint8 biasScore;
+        string datasetCID;
+        string analysisReport;
+        address verifier;
+        uint256 timestamp;
+    }
+
+    mapping(bytes32 => Attestation) private attestations;
+    // One-off approvals for a publisher to mint an already-minted dataset hash again
+    mapping(bytes32 => mapping(address => bool)) public republicationApprovals;
+
+    event DatasetVerified(bytes32 indexed datasetHash, address indexed verifier, bool isVerified, uint8 qualityScore, string analysisReport);
+    event VerificationRevoked(bytes32 indexed datasetHash, address indexed verifier);
+    event MinQualityScoreUpdated(uint8 minQualityScore);
+    event RepublicationApproved(bytes32 indexed datasetHash, address indexed publisher, address verifier);
+    event RepublicationUsed(bytes32 indexed datasetHash, address indexed publisher);
+
+    error InvalidDatasetHash();
+    error InvalidPublisher();
+    error InvalidScore();
+    error NotAttested();
+    error NotDataNFT();
+
+    /**
+     * @dev Constructor records the DataNFT contract and makes the deployer admin and verifier
+     * @param _dataNFTContract The DataNFT contract gated by this registry
+     */
+    constructor(address _dataNFTContract) {
+        dataNFTContract = _dataNFTContract;
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(VERIFIER_ROLE, msg.sender);
+    }
+
+    /**
+     * @dev Records (or replaces) the attestation for a dataset hash
+     * @param input The structured verification result
+     */
+    function verifyDataset(VerificationInput calldata input) external onlyRole(VERIFIER_ROLE) {
+        if (input.datasetHash == bytes32(0)) revert InvalidDatasetHash();
+        if (input.publisher == address(0)) revert InvalidPublisher();
+        if (input.qualityScore > MAX_SCORE || input.diversity > MAX_SCORE || input.biasScore > MAX_SCORE) {
+            revert InvalidScore();
+        }
+
+        attestations[input.datasetHash] = Attestation(
+            input.publisher,
+            input.verificationHash,
+            input.isVerified,
+            false,
+            input.qualityScore,
+            input.anomalies,
+            input.duplicates,
+            input.diversity,
+            input.biasScore,
+            input.datasetCID,
+            input.analysisReport,
+            msg.sender,
+            block.timestamp
+        );
+
+        emit DatasetVerified(input.datasetHash, msg.sender, input.isVerified, input.qualityScore, input.analysisReport);
+    }
+
+    /**
+     * @dev Revokes an attestation, e.g. after a flawed analysis. Minted NFTs keep it readable.
+     * @param datasetHash The dataset hash
+     */
+    function revokeVerification(bytes32 datasetHash) external onlyRole(VERIFIER_ROLE) {
+        if (attestations[datasetHash].timestamp == 0) revert NotAttested();
+        attestations[datasetHash].revoked = true;
+        emit VerificationRevoked(datasetHash, msg.sender);
+    }
+
+    /**
+     * @dev Approves a verified re-publication: lets a publisher mint (or version) a
+     * dataset hash that DataNFT already knows, once
+     * @param datasetHash The dataset hash
+     * @param publisher The account receiving the re-published NFT
+     */
+    function approveRepublication(bytes32 datasetHash, address publisher) external onlyRole(VERIFIER_ROLE) {
+        if (attestations[datasetHash].timestamp == 0) revert NotAttested();
+        republicationApprovals[datasetHash][publisher] = true;
+        emit RepublicationApproved(datasetHash, publisher, msg.sender);
+    }
+
+    /**
+     * @dev Consumes a re-publication approval; only callable by DataNFT
+     * @param datasetHash The dataset hash
+     * @param publisher The account receiving the re-published NFT
+     * @return Whether an approval was consumed
+     */
+    function consumeRepublication(bytes32 datasetHash, address publisher) external returns (bool) {
+        if (msg.sender != dataNFTContract) revert NotDataNFT();
+        if (!republicationApprovals[datasetHash][publisher]) return false;
+        republicationApprovals[datasetHash][publisher] = false;
+        emit RepublicationUsed(datasetHash, publisher);
+        return true;
+    }
+
+    /**
+     * @dev Sets the minimum quality score an attestation needs to be valid
+     * @param _minQualityScore The minimum score, 0-100
+     */
+    function setMinQualityScore(uint8 _minQualityScore) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_minQualityScore > MAX_SCORE) revert InvalidScore();
+        minQualityScore = _minQualityScore;
+        emit MinQualityScoreUpdated(_minQualityScore);
+    }
+
+    /**
+     * @dev Checks whether a dataset hash has a valid attestation
+     * @param datasetHash The dataset hash
+     * @return Whether the dataset is verified, not revoked and meets the minimum score
+     */
+    function isDatasetVerified(bytes32 datasetHash) public view returns (bool) {
+        Attestation storage attestation = attestations[datasetHash];
+        return attestation.isVerified &&
+            !attestation.revoked &&
+            attestation.qualityScore >= minQualityScore;
+    }
+
+    /**
+     * @dev Gets the attestation recorded for a dataset hash
+     * @param datasetHash The dataset hash
+     * @return The attestation (zeroed if none was recorded)
+     */
+    function getAttestation(bytes32 datasetHash) external view returns (Attestation memory) {
+        return attestations[datasetHash];
+    }
+}
@@ -0,0 +1,222 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "./DataNFT.sol";
+
+/**
+ * @title ComputeJobMarket
+ * @dev Compute-to-data jobs for datasets whose raw data never leaves the provider.
+ * The dataset owner publishes compute terms naming a registered operator; consumers
+ * escrow the price in the dataset's datatoken to run an algorithm against it. The
+ * operator accepts the job and posts a result CID with an attestation, releasing the
+ * escrow to the dataset owner. Jobs not completed before their deadline are refunded.
+ */
+contract ComputeJobMarket is Ownable, ReentrancyGuard {
+    // Shortest job timeout a dataset owner may offer, giving operators time to run jobs
+    uint256 public constant MIN_TIMEOUT = 1 hours;
+
+    IDataNFT public immutable dataNFT;
+
+    enum JobStatus { None, Submitted, Accepted, Completed, Refunded }
+
+    struct ComputeTerms {
+        uint256 price;    // In the dataset's datatoken
+        uint256 timeout;  // Seconds from submission until the job can be refunded
+        address operator; // Registered operator that runs jobs for the dataset
+    }
+
+    struct Job {
+        uint256 tokenId;
+        address consumer;
+        address operator;
+        address datatoken;
+        uint256 payment;
+        uint256 deadline;
+        string algorithmCID;
+        string resultCID;
+        bytes attestation;
+        JobStatus status;
+    }
+
+    uint256 public jobCount;
+    // Compute operators approved by the platform
+    mapping(address => bool) public registeredOperators;
+    // Compute terms per NFT ID
+    mapping(uint256 => ComputeTerms) public computeTerms;
+    mapping(uint256 => Job) private jobs;
+
+    event OperatorRegistered(address indexed operator, bool registered);
+    event ComputeTermsSet(uint256 indexed tokenId, uint256 price, uint256 timeout, address operator);
+    event JobSubmitted(uint256 indexed jobId, uint256 indexed tokenId, address indexed consumer, address operator, string algorithmCID, uint256 payment, uint256 deadline);
+    event JobAccepted(uint256 indexed jobId, address indexed operator);
+    event JobCompleted(uint256 indexed jobId, string resultCID, bytes attestation);
+    event JobRefunded(uint256 indexed jobId, address indexed consumer, uint256 amount);
+
+    error NotTheOwner();
+    error NotOperator();
+    error NotConsumer();
+    error OperatorNotRegistered();
+    error ComputeNotOffered();
+    error NoDatatokenLinked();
+    error InvalidAlgorithm();
+    error InvalidTimeout();
+    error InvalidResult();
+    error InvalidJobStatus();
+    error JobExpired();
+    error JobNotExpired();
+    error TransferFailed();
+    error AccessPaused();
+    error DatasetIsFrozen(uint256 reasonCode);
+
+    /**
+     * @dev Constructor links the market to the DataNFT contract
+     * @param _dataNFT The DataNFT contract whose datasets are computed on
+     */
+    constructor(address _dataNFT) {
+        dataNFT = IDataNFT(_dataNFT);
+    }
+
+    /**
+     * @dev Registers or removes a compute operator
+     * @param operator The operator address
+     * @param registered Whether the operator may run jobs
+     */
+    function setOperator(address operator, bool registered) external onlyOwner {
+        registeredOperators[operator] = registered;
+        emit OperatorRegistered(operator, registered);
+    }
+
+    /**
+     * @dev Publishes the compute terms of a dataset; a zero price withdraws the offer
+     * @param tokenId The NFT ID
+     * @param price The job price in the dataset's datatoken
+     * @param timeout Seconds the operator has to complete a job, at least MIN_TIMEOUT
+     * @param operator The registered operator that runs jobs for the dataset
+     */
+    function setComputeTerms(uint256 tokenId, uint256 price, uint256 timeout, address operator) external {
+        if (dataNFT.ownerOf(tokenId) != msg.sender) revert NotTheOwner();
+        if (price != 0 && !registeredOperators[operator]) revert OperatorNotRegistered();
+        if (price != 0 && timeout < MIN_TIMEOUT) revert InvalidTimeout();
+
+        computeTerms[tokenId] = ComputeTerms(price, timeout, operator);
+        emit ComputeTermsSet(tokenId, price, timeout, operator);
+    }
+
+    /**
+     * @dev Submits a job, escrowing the dataset's compute price
+     * @param tokenId The NFT ID to compute on
+     * @param algorithmCID IPFS CID of the algorithm to run
+     * @return jobId The new job ID
+     */
+    function submitJob(uint256 tokenId, string calldata algorithmCID) external nonReentrant returns (uint256 jobId) {
+        ComputeTerms memory terms = computeTerms[tokenId];
+        if (terms.price == 0) revert ComputeNotOffered();
+        if (!registeredOperators[terms.operator]) revert OperatorNotRegistered();
+        if (bytes(algorithmCID).length == 0) revert InvalidAlgorithm();
+        if (dataNFT.paused()) revert AccessPaused();
+        _requireNotFrozen(tokenId);
+
+        address datatoken = dataNFT.getDatatoken(tokenId);
+        if (datatoken == address(0)) revert NoDatatokenLinked();
+
+        jobId = ++jobCount;
+        Job storage job = jobs[jobId];
+        job.tokenId = tokenId;
+        job.consumer = msg.sender;
+        job.operator = terms.operator;
+        job.datatoken = datatoken;
+        job.payment = terms.price;
+        job.deadline = block.timestamp + terms.timeout;
+        job.algorithmCID = algorithmCID;
+        job.status = JobStatus.Submitted;
+
+        if (!IERC20(datatoken).transferFrom(msg.sender, address(this), terms.price)) revert TransferFailed();
+
+        emit JobSubmitted(jobId, tokenId, msg.sender, terms.operator, algorithmCID, terms.price, job.deadline);
+    }
+
+    /**
+     * @dev Accepts a submitted job
+     * @param jobId The job ID
+     */
+    function acceptJob(uint256 jobId) external {
+        Job storage job = jobs[jobId];
+        if (msg.sender != job.operator) revert NotOperator();
+        if (job.status != JobStatus.Submitted) revert InvalidJobStatus();
+        if (block.timestamp > job.deadline) revert JobExpired();
+
+        job.status = JobStatus.Accepted;
+        emit JobAccepted(jobId, msg.sender);
+    }
+
+    /**
+     * @dev Posts the result of an accepted job and releases the escrow to the dataset owner.
+     * Jobs on a dataset frozen since submission cannot complete and are refunded after their deadline.
+     * @param jobId The job ID
+     * @param resultCID IPFS CID of the computation output
+     * @param attestation Operator attestation over the result, e.g. a signature or enclave quote
+     */
+    function completeJob(uint256 jobId, string calldata resultCID, bytes calldata attestation) external nonReentrant {
+        Job storage job = jobs[jobId];
+        if (msg.sender != job.operator) revert NotOperator();
+        if (job.status != JobStatus.Accepted) revert InvalidJobStatus();
+        if (block.timestamp > job.deadline) revert JobExpired();
+        if (bytes(resultCID).length == 0) revert InvalidResult();
+        _requireNotFrozen(job.tokenId);
+
+        job.status = JobStatus.Completed;
+        job.resultCID = resultCID;
+        job.attestation = attestation;
+
+        _payDatasetOwner(job.tokenId, job.datatoken, job.payment);
+        emit JobCompleted(jobId, resultCID, attestation);
+    }
+
+    /**
+     * @dev Refunds a job that was not completed before its deadline
+     * @param jobId The job ID
+     */
+    function refundJob(uint256 jobId) external nonReentrant {
+        Job storage job = jobs[jobId];
+        if (msg.sender != job.consumer) revert NotConsumer();
+        if (job.status != JobStatus.Submitted && job.status != JobStatus.Accepted) revert InvalidJobStatus();
+        if (block.timestamp <= job.deadline) revert JobNotExpired();
+
+        job.status = JobStatus.Refunded;
+        if (!IERC20(job.datatoken).transfer(job.consumer, job.payment)) revert TransferFailed();
+
+        emit JobRefunded(jobId, job.consumer, job.payment);
+    }
+
+    /**
+     * @dev Gets a job
+     * @param jobId The job ID
+     */
+    function getJob(uint256 jobId) external view returns (Job memory) {
+        return jobs[jobId];
+    }
+
+    /**
+     * @dev Reverts for datasets frozen under a takedown in DataNFT
+     */
+    function _requireNotFrozen(uint256 tokenId) internal view {
+        uint256 reasonCode = dataNFT.frozenReasons(tokenId);
+        if (reasonCode != 0) revert DatasetIsFrozen(reasonCode);
+    }
+
+    /**
+     * @dev Pays the dataset owner, through the dataset's payout split if it has one
+     */
+    function _payDatasetOwner(uint256 tokenId, address datatoken, uint256 amount) internal {
+        IRevenueSplitter splitter = dataNFT.revenueSplitter();
+        if (address(splitter) != address(0) && splitter.hasSplit(tokenId)) {
+            if (!IERC20(datatoken).approve(address(splitter), amount)) revert TransferFailed();
+            splitter.deposit(tokenId, datatoken, amount);
+            return;
+        }
+        if (!IERC20(datatoken).transfer(dataNFT.ownerOf(tokenId), amount)) revert TransferFailed();
+    }
+}
@@ -3,24 +3,73 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
+import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Enumerable.sol";
+import "@openzeppelin/contracts/token/common/ERC2981.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/utils/cryptography/draft-EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "./AIVerification.sol";
+
+contract DataNFT is ERC721, ERC721URIStorage, ERC721Enumerable, ERC2981, EIP712, Ownable, ReentrancyGuard, Pausable {
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    // EIP-4494 permit typehash
+    bytes32 public constant PERMIT_TYPEHASH = keccak256(
+        "Permit(address spender,uint256 tokenId,uint256 nonce,uint256 deadline)"
+    );
+    // Access proof typehash, signed by a holder to prove gated access to a gateway
+    bytes32 public constant ACCESS_PROOF_TYPEHASH = keccak256(
+        "AccessProof(address holder,uint256 tokenId,address audience,uint256 deadline)"
+    );
 
-contract DataNFT is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard {
     uint256 private _tokenIds;
-    // Removed AIVerification contract dependency
+    // Upper bound for per-token royalties, in basis points of the sale price
+    uint96 public maxRoyaltyBps = 1000; // 10% by default
+    // Whether a seller's access grant is revoked when the NFT is transferred
+    bool public revokeAccessOnTransfer;
+    // Verifier registry whose attestations gate minting
+    AIVerification public aiVerification;
+    // Stores structured dataset metadata and renders it as ERC-721 metadata JSON
+    IDatasetMetadataRenderer public metadataRenderer;
+    // Pull-based splitter that receives the owner's proceeds of datasets with a payout split
+    IRevenueSplitter public revenueSplitter;
+    // Lineage graph of derivative datasets and their upstream royalties
+    IDatasetLineage public lineage;
 
     // Mapping from NFT ID to Datatoken address (ERC20)
     mapping(uint256 => address) public datatokens;
-    // Mapping from NFT ID to IPFS CID of dataset
-    mapping(uint256 => string) public datasetCIDs;
-    // Mapping from NFT ID to decryption key (for private datasets)
-    mapping(uint256 => bytes32) private decryptionKeys;
-    // Mapping from NFT ID to authorized access addresses
-    mapping(uint256 => mapping(address => bool)) private authorizedAccess;
-    // Mapping from dataset hash to verification status (added to replace AIVerification)
-    mapping(bytes32 => bool) public verifiedDatasets;
+    // Private datasets are encrypted; buyers receive the key through DatasetKeyVault
+    mapping(uint256 => bool) public isPrivateDataset;
+    // Addresses holding an access grant per NFT ID, enumerable for audits
+    mapping(uint256 => EnumerableSet.AddressSet) private _grantees;
+    // Expiry of each access grant (0 = never expires)
+    mapping(uint256 => mapping(address => uint256)) private _grantExpiry;
+    // Duration of access bought through accessData per NFT ID (0 = permanent)
+    mapping(uint256 => uint256) public accessDurations;
+    // Datatoken balance that also unlocks gated content per NFT ID
+    // (0 = the default of one whole datatoken, type(uint256).max = balance never does)
+    mapping(uint256 => uint256) public accessBalanceThresholds;
+    // Mapping from NFT ID to the attested hash of the latest dataset version
+    mapping(uint256 => bytes32) public datasetHashes;
+    // NFT IDs per dataset hash in publication order; the first is the original
+    mapping(bytes32 => uint256[]) private _tokensByDatasetHash;
+    // Reason code of a frozen dataset per NFT ID (0 = not frozen)
+    mapping(uint256 => uint256) public frozenReasons;
+
+    // A published dataset version; version 0 is the one minted
+    struct DatasetVersion {
+        string cid;
+        bytes32 contentHash;
+        string changelogURI;
+        uint256 timestamp;
+    }
+    // Append-only version log per NFT ID
+    mapping(uint256 => DatasetVersion[]) private _versions;
 
     // Marketplace listings
     struct Listing {
@@ -28,6 +77,8 @@ contract DataNFT is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard {
         bool isActive;
     }
     mapping(uint256 => Listing) public listings;
+    // EIP-4494 permit nonces, bumped on every transfer
+    mapping(uint256 => uint256) private _nonces;
 
     event DataNFTMinted(uint256 indexed tokenId, string tokenURI, string datasetCID, address owner, bytes32 datasetHash);
     event DatatokenLinked(uint256 indexed tokenId, address datatoken);
@@ -35,10 +86,22 @@ contract DataNFT is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard {
     event NFTSold(uint256 indexed tokenId, address buyer, uint256 price);
     event DataAccessed(uint256 indexed tokenId, address accessor, string datasetCID);
     event ListingPriceUpdated(uint256 indexed tokenId, uint256 newPrice);
-    event DatasetCIDUpdated(uint256 indexed tokenId, string newCID);
-    event DecryptionKeySet(uint256 indexed tokenId, bytes32 decryptionKey);
-    event AccessGranted(uint256 indexed tokenId, address user);
-    event DatasetVerified(bytes32 indexed datasetHash); // New event for dataset verification
+    event DatasetVersionPublished(uint256 indexed tokenId, uint256 indexed version, string datasetCID, bytes32 contentHash, string changelogURI);
+    event AccessGranted(uint256 indexed tokenId, address user, uint256 expiresAt);
+    event AccessRevoked(uint256 indexed tokenId, address user, address revokedBy);
+    event AccessDurationSet(uint256 indexed tokenId, uint256 duration);
+    event RevokeAccessOnTransferUpdated(bool enabled);
+    event AccessBalanceThresholdSet(uint256 indexed tokenId, uint256 threshold);
+    event AIVerificationContractSet(address aiVerification);
+    event MetadataRendererSet(address renderer);
+    event RevenueSplitterSet(address splitter);
+    event LineageSet(address lineage);
+    event RoyaltySet(uint256 indexed tokenId, address receiver, uint96 royaltyBps);
+    event RoyaltyPaid(uint256 indexed tokenId, address receiver, uint256 amount);
+    event UpstreamRoyaltyPaid(uint256 indexed tokenId, address receiver, uint256 amount);
+    event MaxRoyaltyUpdated(uint96 maxRoyaltyBps);
+    event DatasetFrozen(uint256 indexed tokenId, uint256 indexed reasonCode, string noticeURI);
+    event DatasetUnfrozen(uint256 indexed tokenId);
 
     // Custom errors for gas efficiency
     error InvalidNFT();
@@ -49,50 +112,117 @@ contract DataNFT is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard {
     error NotForSale();
     error TransferFailed();
     error InvalidDatasetCID();
+    error RoyaltyTooHigh();
+    error PermitExpired();
+    error InvalidPermitSignature();
+    error DatasetNotVerified();
+    error NotAttestedPublisher();
+    error DatasetCIDMismatch();
+    error InvalidVersion();
+    error InvalidExpiry();
+    error NoAccessGrant();
+    error NoLineage();
+    error DuplicateDataset(uint256 existingTokenId);
+    error UseAccessTiers();
+    error DatasetIsFrozen(uint256 reasonCode);
+    error InvalidReasonCode();
+    error NotFrozen();
+
+    constructor() ERC721("DataNFT", "DNFT") EIP712("DataNFT", "1") {}
 
-    constructor() ERC721("DataNFT", "DNFT") {}
+    // Set the global cap applied to royalties at mint time
+    function setMaxRoyaltyBps(uint96 newMaxRoyaltyBps) external onlyOwner {
+        if (newMaxRoyaltyBps > _feeDenominator()) revert RoyaltyTooHigh();
+        maxRoyaltyBps = newMaxRoyaltyBps;
+        emit MaxRoyaltyUpdated(newMaxRoyaltyBps);
+    }
 
-    // Function to verify a dataset (replacing AIVerification contract)
-    function verifyDataset(bytes32 datasetHash) external onlyOwner {
-        require(datasetHash != bytes32(0), "Invalid dataset hash");
-        verifiedDatasets[datasetHash] = true;
-        emit DatasetVerified(datasetHash);
+    // Set the verifier registry; minting is disabled until one is set
+    function setAIVerificationContract(address _aiVerification) external onlyOwner {
+        aiVerification = AIVerification(_aiVerification);
+        emit AIVerificationContractSet(_aiVerification);
     }
 
-    // Check if a dataset is verified
+    // Check if a dataset has a valid attestation
     function isDatasetVerified(bytes32 datasetHash) public view returns (bool) {
-        return verifiedDatasets[datasetHash];
+        return address(aiVerification) != address(0) && aiVerification.isDatasetVerified(datasetHash);
     }
 
-    // Mint a new DataNFT with metadata, IPFS CID, and AI verification
+    // Get the attestation of the dataset behind an NFT
+    function getVerification(uint256 tokenId) external view returns (AIVerification.Attestation memory) {
+        if (!_exists(tokenId)) revert InvalidNFT();
+        return aiVerification.getAttestation(datasetHashes[tokenId]);
+    }
+
+    // Mint a new DataNFT with metadata, IPFS CID, and AI verification. The publisher must be the
+    // caller and the attestation's publisher; the NFT is minted to them.
     function mintNFT(
         string memory metadataURI,
         string memory datasetCID,
         bytes32 datasetHash,
         bool isPrivate,
-        bytes32 decryptionKey,
-        address recipient
+        address publisher,
+        address royaltyReceiver,
+        uint96 royaltyBps
     ) external returns (uint256) {
-        // Auto-verify the dataset if needed (bypassing the AIVerification check)
-        if (!verifiedDatasets[datasetHash]) {
-            verifiedDatasets[datasetHash] = true;
-            emit DatasetVerified(datasetHash);
-        }
+        return _mintDataset(metadataURI, datasetCID, datasetHash, isPrivate, publisher, royaltyReceiver, royaltyBps);
+    }
+
+    // Mint a derivative DataNFT built on parent datasets, recording its lineage and
+    // whether it may itself be used as a parent
+    function mintNFT(
+        string memory metadataURI,
+        string memory datasetCID,
+        bytes32 datasetHash,
+        bool isPrivate,
+        address publisher,
+        address royaltyReceiver,
+        uint96 royaltyBps,
+        uint256[] calldata parentIds,
+        bool allowsDerivatives
+    ) external returns (uint256) {
+        if (address(lineage) == address(0)) revert NoLineage();
+        uint256 tokenId = _mintDataset(
+            metadataURI, datasetCID, datasetHash, isPrivate, publisher, royaltyReceiver, royaltyBps
+        );
+        lineage.recordDerivative(tokenId, parentIds, allowsDerivatives);
+        return tokenId;
+    }
+
+    function _mintDataset(
+        string memory metadataURI,
+        string memory datasetCID,
+        bytes32 datasetHash,
+        bool isPrivate,
+        address publisher,
+        address royaltyReceiver,
+        uint96 royaltyBps
+    ) internal whenNotPaused returns (uint256) {
+        if (royaltyBps > maxRoyaltyBps) revert RoyaltyTooHigh();
+
+        if (!isDatasetVerified(datasetHash)) revert DatasetNotVerified();
+        _requireAttestedPublication(datasetHash, datasetCID, publisher);
 
         uint256 newTokenId = _tokenIds + 1;
         _tokenIds = newTokenId;
-        _safeMint(recipient, newTokenId);
+        _registerDatasetHash(datasetHash, newTokenId, publisher);
+        _safeMint(publisher, newTokenId);
         _setTokenURI(newTokenId, metadataURI);
-        datasetCIDs[newTokenId] = datasetCID;
+        datasetHashes[newTokenId] = datasetHash;
+        _versions[newTokenId].push(DatasetVersion(datasetCID, datasetHash, "", block.timestamp));
         
         // Grant access to the owner automatically
-        authorizedAccess[newTokenId][recipient] = true;
-        
-        if (isPrivate) {
-            decryptionKeys[newTokenId] = decryptionKey;
-            emit DecryptionKeySet(newTokenId, decryptionKey);
+        _grantAccess(newTokenId, publisher, 0);
+
+        // Royalties default to the original publisher
+        if (royaltyBps > 0) {
+            if (royaltyReceiver == address(0)) royaltyReceiver = publisher;
+            _setTokenRoyalty(newTokenId, royaltyReceiver, royaltyBps);
+            emit RoyaltySet(newTokenId, royaltyReceiver, royaltyBps);
         }
-        emit DataNFTMinted(newTokenId, metadataURI, datasetCID, recipient, datasetHash);
+        
+        if (isPrivate) isPrivateDataset[newTokenId] = true;
+        emit DataNFTMinted(newTokenId, metadataURI, datasetCID, publisher, datasetHash);
         return newTokenId;
     }
 
@@ -113,8 +243,9 @@ contract DataNFT is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard {
     }
 
     // List an NFT for sale
-    function listNFT(uint256 tokenId, uint256 priceInTokens) external {
+    function listNFT(uint256 tokenId, uint256 priceInTokens) external whenNotPaused {
         if (ownerOf(tokenId) != msg.sender) revert NotTheOwner();
+        _requireNotFrozen(tokenId);
         if (datatokens[tokenId] == address(0)) revert NoDatatokenLinked();
         
         listings[tokenId] = Listing(priceInTokens, true);
@@ -132,7 +263,7 @@ contract DataNFT is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard {
     }
 
     // Buy a listed NFT with balance check
-    function buyNFT(uint256 tokenId) external nonReentrant {
+    function buyNFT(uint256 tokenId) external nonReentrant whenNotPaused {
         Listing memory listing = listings[tokenId];
         if (!listing.isActive) revert NotForSale();
         
@@ -146,56 +277,327 @@ contract DataNFT is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard {
         delete listings[tokenId];
         
         // Grant access to the new owner
-        authorizedAccess[tokenId][msg.sender] = true;
-        emit AccessGranted(tokenId, msg.sender);
+        _grantAccess(tokenId, msg.sender, 0);
         
-        // Perform the external calls last
-        if (!IERC20(datatoken).transferFrom(msg.sender, seller, price)) revert TransferFailed();
+        // Perform the external calls last, paying the royalty receiver first
+        (address royaltyReceiver, uint256 royaltyAmount) = royaltyInfo(tokenId, price);
+        if (royaltyAmount > 0 && royaltyReceiver != seller) {
+            if (!IERC20(datatoken).transferFrom(msg.sender, royaltyReceiver, royaltyAmount)) revert TransferFailed();
+            emit RoyaltyPaid(tokenId, royaltyReceiver, royaltyAmount);
+        } else {
+            royaltyAmount = 0;
+        }
+        uint256 upstreamAmount = _payUpstream(tokenId, datatoken, price, price - royaltyAmount);
+        _payOwner(tokenId, datatoken, msg.sender, seller, price - royaltyAmount - upstreamAmount);
         _transfer(seller, msg.sender, tokenId);
         
         emit NFTSold(tokenId, msg.sender, price);
     }
 
-    // Access data (requires ownership or payment)
-    function accessData(uint256 tokenId, uint256 tokenAmount) external nonReentrant returns (string memory, bytes32) {
+    // Access the latest dataset version (requires ownership or payment). Keys of private datasets
+    // are never stored on-chain; they are delivered as encrypted envelopes by DatasetKeyVault.
+    function accessData(uint256 tokenId, uint256 tokenAmount) external nonReentrant returns (string memory) {
         if (!_exists(tokenId)) revert InvalidNFT();
+        return _accessData(tokenId, tokenAmount, _versions[tokenId].length - 1);
+    }
+
+    // Access a pinned dataset version (requires ownership or payment)
+    function accessDataVersion(uint256 tokenId, uint256 tokenAmount, uint256 version) external nonReentrant returns (string memory) {
+        if (!_exists(tokenId)) revert InvalidNFT();
+        if (version >= _versions[tokenId].length) revert InvalidVersion();
+        return _accessData(tokenId, tokenAmount, version);
+    }
+
+    function _accessData(uint256 tokenId, uint256 tokenAmount, uint256 version)
+        internal
+        whenNotPaused
+        returns (string memory)
+    {
+        _requireNotFrozen(tokenId);
         address datatoken = datatokens[tokenId];
         if (datatoken == address(0)) revert NoDatatokenLinked();
         
         // Check if access is authorized
-        if (ownerOf(tokenId) != msg.sender && !authorizedAccess[tokenId][msg.sender]) {
+        if (!_hasAccess(tokenId, msg.sender)) {
             if (tokenAmount == 0) revert InsufficientPayment();
+            // Datatokens with access tiers sell access only at tier prices; without tiers
+            // access costs at least one whole datatoken
+            try IAccessTiers(datatoken).accessTierCount() returns (uint256 tiers) {
+                if (tiers != 0) revert UseAccessTiers();
+            } catch {}
+            if (tokenAmount < _wholeToken(datatoken)) revert InsufficientPayment();
             
-            // Save state changes first
-            authorizedAccess[tokenId][msg.sender] = true;
-            emit AccessGranted(tokenId, msg.sender);
+            // Save state changes first; expired grants are renewed
+            uint256 duration = accessDurations[tokenId];
+            _grantAccess(tokenId, msg.sender, duration == 0 ? 0 : block.timestamp + duration);
             
             // Then perform the external call
-            if (!IERC20(datatoken).transferFrom(msg.sender, ownerOf(tokenId), tokenAmount))
-                revert TransferFailed();
+            _payOwner(tokenId, datatoken, msg.sender, ownerOf(tokenId), tokenAmount);
         }
         
-        string memory cid = datasetCIDs[tokenId];
+        string memory cid = _versions[tokenId][version].cid;
         if (bytes(cid).length == 0) revert InvalidDatasetCID();
         
-        bytes32 key = decryptionKeys[tokenId]; // Returns 0x0 if not private
         emit DataAccessed(tokenId, msg.sender, cid);
-        return (cid, key);
+        return cid;
     }
 
-    // Check if an address has access to a dataset
+    // One whole datatoken in its smallest unit
+    function _wholeToken(address datatoken) internal view returns (uint256) {
+        uint256 decimals = IERC20Metadata(datatoken).decimals();
+        // Unchecked to save contract size; datatokens use far fewer than 77 decimals
+        unchecked {
+            return 10 ** decimals;
+        }
+    }
+
+    // Check if an address has access to a dataset; nobody has access to a frozen one
     function hasAccess(uint256 tokenId, address user) external view returns (bool) {
         if (!_exists(tokenId)) revert InvalidNFT();
-        return ownerOf(tokenId) == user || authorizedAccess[tokenId][user];
+        if (frozenReasons[tokenId] != 0) return false;
+        return _hasAccess(tokenId, user);
     }
 
-    // Update dataset CID (e.g., if file is moved or updated)
-    function updateDatasetCID(uint256 tokenId, string memory newCID) external onlyOwner {
+    // Ownership or an unexpired access grant, including grants bought through datatoken tiers
+    function _hasAccess(uint256 tokenId, address user) internal view returns (bool) {
+        return ownerOf(tokenId) == user || _hasValidGrant(tokenId, user);
+    }
+
+    // Grant access bought through the linked datatoken's access tiers; a longer grant is kept
+    function grantTierAccess(uint256 tokenId, address user, uint256 expiresAt) external {
+        if (msg.sender != datatokens[tokenId]) revert NotAuthorized();
+        if (_hasValidGrant(tokenId, user)) {
+            uint256 current = _grantExpiry[tokenId][user];
+            if (current == 0 || (expiresAt != 0 && current >= expiresAt)) return;
+        }
+        _grantAccess(tokenId, user, expiresAt);
+    }
+
+    // Grant access directly, optionally until an expiry timestamp (0 = never expires)
+    function grantAccess(uint256 tokenId, address user, uint256 expiresAt) external {
+        if (ownerOf(tokenId) != msg.sender) revert NotTheOwner();
+        if (expiresAt != 0 && expiresAt <= block.timestamp) revert InvalidExpiry();
+        _grantAccess(tokenId, user, expiresAt);
+    }
+
+    // Revoke a grant, e.g. for a policy violation. The NFT owner or the contract owner may revoke.
+    function revokeAccess(uint256 tokenId, address user) external {
+        if (ownerOf(tokenId) != msg.sender && owner() != msg.sender) revert NotAuthorized();
+        if (!_revokeAccess(tokenId, user)) revert NoAccessGrant();
+    }
+
+    // Set how long access bought through accessData lasts (0 = permanent)
+    function setAccessDuration(uint256 tokenId, uint256 duration) external {
+        if (ownerOf(tokenId) != msg.sender) revert NotTheOwner();
+        accessDurations[tokenId] = duration;
+        emit AccessDurationSet(tokenId, duration);
+    }
+
+    // Set the datatoken balance that unlocks gated content (0 restores the default of one
+    // whole datatoken, type(uint256).max stops balances from unlocking it)
+    function setAccessBalanceThreshold(uint256 tokenId, uint256 threshold) external {
+        if (ownerOf(tokenId) != msg.sender) revert NotTheOwner();
+        accessBalanceThresholds[tokenId] = threshold;
+        emit AccessBalanceThresholdSet(tokenId, threshold);
+    }
+
+    // Check if a user may read gated content: access (see _hasAccess) or enough datatokens.
+    // Gated content of a frozen dataset is served to nobody.
+    function hasGatedAccess(uint256 tokenId, address user) public view returns (bool) {
         if (!_exists(tokenId)) revert InvalidNFT();
+        if (frozenReasons[tokenId] != 0) return false;
+        if (_hasAccess(tokenId, user)) return true;
+
+        uint256 threshold = accessBalanceThresholds[tokenId];
+        address datatoken = datatokens[tokenId];
+        if (threshold == type(uint256).max || datatoken == address(0)) return false;
+        if (threshold == 0) threshold = _wholeToken(datatoken);
+        return IERC20(datatoken).balanceOf(user) >= threshold;
+    }
+
+    // Verify an EIP-712 access proof presented to a gateway: the holder signed it (EOA or
+    // ERC-1271 wallet) for this audience, it has not expired, and the holder currently has
+    // gated access. A gateway passes its own address as the audience, so proofs cannot be
+    // replayed to other gateways; until the deadline anyone holding the proof can use it there.
+    function verifyAccessProof(uint256 tokenId, address holder, address audience, uint256 deadline, bytes memory sig)
+        external
+        view
+        returns (bool)
+    {
+        if (block.timestamp > deadline) return false;
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(abi.encode(ACCESS_PROOF_TYPEHASH, holder, tokenId, audience, deadline))
+        );
+        return SignatureChecker.isValidSignatureNow(holder, digest, sig) && hasGatedAccess(tokenId, holder);
+    }
+
+    // Choose whether sellers lose their access grant when an NFT is transferred
+    function setRevokeAccessOnTransfer(bool enabled) external onlyOwner {
+        revokeAccessOnTransfer = enabled;
+        emit RevokeAccessOnTransferUpdated(enabled);
+    }
+
+    // List every access grant of a dataset with its expiry, including expired ones
+    function getAccessGrants(uint256 tokenId)
+        external
+        view
+        returns (address[] memory users, uint256[] memory expiresAt)
+    {
+        if (!_exists(tokenId)) revert InvalidNFT();
+        users = _grantees[tokenId].values();
+        expiresAt = new uint256[](users.length);
+        for (uint256 i = 0; i < users.length; i++) {
+            expiresAt[i] = _grantExpiry[tokenId][users[i]];
+        }
+    }
+
+    function _grantAccess(uint256 tokenId, address user, uint256 expiresAt) internal {
+        _grantees[tokenId].add(user);
+        _grantExpiry[tokenId][user] = expiresAt;
+        emit AccessGranted(tokenId, user, expiresAt);
+    }
+
+    function _revokeAccess(uint256 tokenId, address user) internal returns (bool) {
+        if (!_grantees[tokenId].remove(user)) return false;
+        delete _grantExpiry[tokenId][user];
+        emit AccessRevoked(tokenId, user, msg.sender);
+        return true;
+    }
+
+    function _hasValidGrant(uint256 tokenId, address user) internal view returns (bool) {
+        if (!_grantees[tokenId].contains(user)) return false;
+        uint256 expiresAt = _grantExpiry[tokenId][user];
+        return expiresAt == 0 || expiresAt > block.timestamp;
+    }
+
+    // Publish a new dataset version; earlier versions stay readable. The new content
+    // needs its own valid attestation, just like the minted one.
+    function publishVersion(
+        uint256 tokenId,
+        string memory newCID,
+        bytes32 contentHash,
+        string memory changelogURI
+    ) external returns (uint256) {
+        if (ownerOf(tokenId) != msg.sender) revert NotTheOwner();
         if (bytes(newCID).length == 0) revert InvalidDatasetCID();
-        
-        datasetCIDs[tokenId] = newCID;
-        emit DatasetCIDUpdated(tokenId, newCID);
+        if (!isDatasetVerified(contentHash)) revert DatasetNotVerified();
+        _requireAttestedPublication(contentHash, newCID, msg.sender);
+        _registerDatasetHash(contentHash, tokenId, msg.sender);
+
+        datasetHashes[tokenId] = contentHash;
+        _versions[tokenId].push(DatasetVersion(newCID, contentHash, changelogURI, block.timestamp));
+
+        uint256 version = _versions[tokenId].length - 1;
+        emit DatasetVersionPublished(tokenId, version, newCID, contentHash, changelogURI);
+        return version;
+    }
+
+    // Set the contract that stores structured metadata and renders on-chain tokenURI JSON
+    function setMetadataRenderer(address renderer) external onlyOwner {
+        metadataRenderer = IDatasetMetadataRenderer(renderer);
+        emit MetadataRendererSet(renderer);
+    }
+
+    // Set the splitter that receives the proceeds of datasets with a payout split
+    function setRevenueSplitter(address splitter) external onlyOwner {
+        revenueSplitter = IRevenueSplitter(splitter);
+        emit RevenueSplitterSet(splitter);
+    }
+
+    // Set the lineage graph used for derivative minting and upstream royalties
+    function setLineage(address _lineage) external onlyOwner {
+        lineage = IDatasetLineage(_lineage);
+        emit LineageSet(_lineage);
+    }
+
+    // Pay the parent owners of a derivative their share of a sale, out of at most `available`
+    function _payUpstream(uint256 tokenId, address datatoken, uint256 price, uint256 available)
+        internal
+        returns (uint256 paid)
+    {
+        if (address(lineage) == address(0)) return 0;
+        (address[] memory receivers, uint256[] memory amounts) = lineage.upstreamPayments(tokenId, price);
+        for (uint256 i = 0; i < receivers.length; i++) {
+            if (amounts[i] == 0 || paid + amounts[i] > available) continue;
+            if (!IERC20(datatoken).transferFrom(msg.sender, receivers[i], amounts[i])) revert TransferFailed();
+            paid += amounts[i];
+            emit UpstreamRoyaltyPaid(tokenId, receivers[i], amounts[i]);
+        }
+    }
+
+    // Pay the owner's proceeds in datatokens, through the dataset's payout split if it has one
+    function _payOwner(uint256 tokenId, address datatoken, address from, address owner, uint256 amount) internal {
+        IRevenueSplitter splitter = revenueSplitter;
+        if (address(splitter) == address(0) || !splitter.hasSplit(tokenId)) {
+            if (!IERC20(datatoken).transferFrom(from, owner, amount)) revert TransferFailed();
+            return;
+        }
+        if (!IERC20(datatoken).transferFrom(from, address(this), amount)) revert TransferFailed();
+        if (!IERC20(datatoken).approve(address(splitter), amount)) revert TransferFailed();
+        splitter.deposit(tokenId, datatoken, amount);
+    }
+
+    // Check that an attested hash is published with its attested CID by a publisher acting for
+    // themselves. The revenue splitter mints for its caller and checks that the caller is the publisher.
+    function _requireAttestedPublication(bytes32 datasetHash, string memory datasetCID, address publisher)
+        internal
+        view
+    {
+        if (msg.sender != publisher && msg.sender != address(revenueSplitter)) revert NotAttestedPublisher();
+        string memory attestedCID = aiVerification.getAttestation(datasetHash).datasetCID;
+        if (keccak256(bytes(datasetCID)) != keccak256(bytes(attestedCID))) revert DatasetCIDMismatch();
+    }
+
+    // Claim a dataset hash for a token. Only the attested publisher may claim an unclaimed hash,
+    // so nobody can squat on an attestation; a hash already claimed by another token needs a
+    // verifier-approved re-publication for the publisher.
+    function _registerDatasetHash(bytes32 datasetHash, uint256 tokenId, address publisher) internal {
+        uint256[] storage tokens = _tokensByDatasetHash[datasetHash];
+        if (tokens.length == 0) {
+            if (publisher != aiVerification.getAttestation(datasetHash).publisher) revert NotAttestedPublisher();
+        } else {
+            if (tokens[tokens.length - 1] == tokenId) return;
+            if (!aiVerification.consumeRepublication(datasetHash, publisher)) revert DuplicateDataset(tokens[0]);
+        }
+        tokens.push(tokenId);
+    }
+
+    // Look up the original NFT of a dataset hash (0 if it was never published)
+    function tokenByDatasetHash(bytes32 datasetHash) external view returns (uint256) {
+        uint256[] storage tokens = _tokensByDatasetHash[datasetHash];
+        return tokens.length == 0 ? 0 : tokens[0];
+    }
+
+    // Look up every NFT that published a dataset hash, including approved re-publications
+    function getTokensByDatasetHash(bytes32 datasetHash) external view returns (uint256[] memory) {
+        return _tokensByDatasetHash[datasetHash];
+    }
+
+    // Get the number of published versions of a dataset
+    function versionCount(uint256 tokenId) external view returns (uint256) {
+        if (!_exists(tokenId)) revert InvalidNFT();
+        return _versions[tokenId].length;
+    }
+
+    // Get the IPFS CID of the latest dataset version, or "" if the NFT does not exist. CIDs are
+    // public; private datasets are encrypted and their keys are delivered by DatasetKeyVault.
+    // The CID of a frozen dataset is withheld.
+    function datasetCIDs(uint256 tokenId) public view returns (string memory) {
+        _requireNotFrozen(tokenId);
+        uint256 count = _versions[tokenId].length;
+        return count == 0 ? "" : _versions[tokenId][count - 1].cid;
+    }
+
+    // Get the details of a dataset version; accessDataVersion returns its CID
+    function getVersion(uint256 tokenId, uint256 version)
+        external
+        view
+        returns (bytes32 contentHash, string memory changelogURI, uint256 timestamp)
+    {
+        if (!_exists(tokenId)) revert InvalidNFT();
+        if (version >= _versions[tokenId].length) revert InvalidVersion();
+        DatasetVersion storage v = _versions[tokenId][version];
+        return (v.contentHash, v.changelogURI, v.timestamp);
     }
 
     // Get Datatoken address for an NFT
@@ -204,29 +606,115 @@ contract DataNFT is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard {
         return datatokens[tokenId];
     }
 
-    // Burn an NFT
+    // Halt minting, listing, buying and paid access, e.g. while a bug is investigated
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    // Freeze a dataset under a takedown: its listing is cancelled and listing and access
+    // are blocked until it is unfrozen, while the owner keeps the NFT. The reason code and
+    // notice URI (e.g. the legal notice) are recorded in the DatasetFrozen event.
+    function freezeDataset(uint256 tokenId, uint256 reasonCode, string calldata noticeURI) external onlyOwner {
+        if (!_exists(tokenId)) revert InvalidNFT();
+        if (reasonCode == 0) revert InvalidReasonCode();
+        frozenReasons[tokenId] = reasonCode;
+        delete listings[tokenId];
+        emit DatasetFrozen(tokenId, reasonCode, noticeURI);
+    }
+
+    // Lift a dataset freeze
+    function unfreezeDataset(uint256 tokenId) external onlyOwner {
+        if (frozenReasons[tokenId] == 0) revert NotFrozen();
+        delete frozenReasons[tokenId];
+        emit DatasetUnfrozen(tokenId);
+    }
+
+    function _requireNotFrozen(uint256 tokenId) internal view {
+        uint256 reasonCode = frozenReasons[tokenId];
+        if (reasonCode != 0) revert DatasetIsFrozen(reasonCode);
+    }
+
+    // Burn an NFT. Its dataset hashes stay claimed, so burned content cannot be minted again
+    // unless a verifier approves a re-publication.
     function burnNFT(uint256 tokenId) external onlyOwner {
         if (!_exists(tokenId)) revert InvalidNFT();
         _burn(tokenId);
         delete datatokens[tokenId];
         delete listings[tokenId];
-        delete datasetCIDs[tokenId];
-        delete decryptionKeys[tokenId];
+        delete isPrivateDataset[tokenId];
+        delete datasetHashes[tokenId];
+        delete _versions[tokenId];
+        delete accessBalanceThresholds[tokenId];
+        delete frozenReasons[tokenId];
+    }
+
+    // EIP-4494: approve a spender with the owner's signature (EOA or ERC-1271 wallet)
+    function permit(address spender, uint256 tokenId, uint256 deadline, bytes memory sig) external {
+        if (block.timestamp > deadline) revert PermitExpired();
+
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(abi.encode(PERMIT_TYPEHASH, spender, tokenId, _nonces[tokenId], deadline))
+        );
+        address owner = ownerOf(tokenId);
+        if (spender == owner) revert InvalidPermitSignature();
+        if (!SignatureChecker.isValidSignatureNow(owner, digest, sig)) revert InvalidPermitSignature();
+
+        _approve(spender, tokenId);
+    }
+
+    // EIP-4494: current permit nonce of a token
+    function nonces(uint256 tokenId) external view returns (uint256) {
+        if (!_exists(tokenId)) revert InvalidNFT();
+        return _nonces[tokenId];
+    }
+
+    // EIP-4494: domain separator used by permit signatures
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    // Required override for ERC721Enumerable
+    function _beforeTokenTransfer(address from, address to, uint256 tokenId)
+        internal
+        override(ERC721, ERC721Enumerable)
+    {
+        super._beforeTokenTransfer(from, to, tokenId);
+    }
+
+    // Invalidate outstanding permits, and optionally the seller's grant, whenever a token changes hands
+    function _afterTokenTransfer(address from, address to, uint256 tokenId) internal override {
+        super._afterTokenTransfer(from, to, tokenId);
+        _nonces[tokenId]++;
+        if (revokeAccessOnTransfer && from != address(0) && to != address(0)) {
+            _revokeAccess(tokenId, from);
+        }
     }
 
     // Override for ERC721URIStorage
     function _burn(uint256 tokenId) internal override(ERC721, ERC721URIStorage) {
         super._burn(tokenId);
+        _resetTokenRoyalty(tokenId);
     }
 
-    // Updated tokenURI with minimum DataToken requirement
+    // ERC721, ERC2981 and EIP-4494 (0x5604e225) interfaces
+    function supportsInterface(bytes4 interfaceId)
+        public
+        view
+        override(ERC721, ERC721Enumerable, ERC2981)
+        returns (bool)
+    {
+        return interfaceId == 0x5604e225 || super.supportsInterface(interfaceId);
+    }
+
+    // Public metadata; gated content is served off-chain against verifyAccessProof
     function tokenURI(uint256 tokenId) public view override(ERC721, ERC721URIStorage) returns (string memory) {
         if (!_exists(tokenId)) revert InvalidNFT();
-        
-        address datatoken = datatokens[tokenId];
-        if (datatoken != address(0)) {
-            if (IERC20(datatoken).balanceOf(msg.sender) < 1 * 10**18 && ownerOf(tokenId) != msg.sender)
-                revert NotAuthorized();
+        if (address(metadataRenderer) != address(0) && metadataRenderer.rendersOnChain(tokenId)) {
+            return metadataRenderer.tokenURI(tokenId);
         }
         return super.tokenURI(tokenId);
     }
@@ -239,15 +727,61 @@ interface IDataNFT {
         string calldata datasetCID,
         bytes32 datasetHash,
         bool isPrivate,
-        bytes32 decryptionKey,
-        address recipient
+        address publisher,
+        address royaltyReceiver,
+        uint96 royaltyBps
+    ) external returns (uint256);
+    function mintNFT(
+        string calldata metadataURI,
+        string calldata datasetCID,
+        bytes32 datasetHash,
+        bool isPrivate,
+        address publisher,
+        address royaltyReceiver,
+        uint96 royaltyBps,
+        uint256[] calldata parentIds,
+        bool allowsDerivatives
     ) external returns (uint256);
     function ownerOf(uint256 tokenId) external view returns (address);
     function transferFrom(address from, address to, uint256 tokenId) external;
     function datasetCIDs(uint256 tokenId) external view returns (string memory);
-    function accessData(uint256 tokenId, uint256 tokenAmount) external returns (string memory, bytes32);
+    function accessData(uint256 tokenId, uint256 tokenAmount) external returns (string memory);
     function getDatatoken(uint256 tokenId) external view returns (address);
     function isApprovedForAll(address owner, address operator) external view returns (bool);
     function getApproved(uint256 tokenId) external view returns (address);
     function hasAccess(uint256 tokenId, address user) external view returns (bool);
+    function royaltyInfo(uint256 tokenId, uint256 salePrice) external view returns (address, uint256);
+    function permit(address spender, uint256 tokenId, uint256 deadline, bytes memory sig) external;
+    function nonces(uint256 tokenId) external view returns (uint256);
+    function grantTierAccess(uint256 tokenId, address user, uint256 expiresAt) external;
+    function revenueSplitter() external view returns (IRevenueSplitter);
+    function lineage() external view returns (IDatasetLineage);
+    function paused() external view returns (bool);
+    function frozenReasons(uint256 tokenId) external view returns (uint256);
+}
+
+// Renders the on-chain tokenURI of a DataNFT
+interface IDatasetMetadataRenderer {
+    function rendersOnChain(uint256 tokenId) external view returns (bool);
+    function tokenURI(uint256 tokenId) external view returns (string memory);
+}
+
+// Receives dataset proceeds and accrues them to the dataset's contributors
+interface IRevenueSplitter {
+    function hasSplit(uint256 tokenId) external view returns (bool);
+    function deposit(uint256 tokenId, address currency, uint256 amount) external payable;
+}
+
+// Lineage graph of derivative datasets
+interface IDatasetLineage {
+    function recordDerivative(uint256 tokenId, uint256[] calldata parentIds, bool allowsDerivatives) external;
+    function upstreamPayments(uint256 tokenId, uint256 salePrice)
+        external
+        view
+        returns (address[] memory receivers, uint256[] memory amounts);
+}
+
+// Access tiers sold by a datatoken through redeemAccessTier
+interface IAccessTiers {
+    function accessTierCount() external view returns (uint256);
 }
@@ -0,0 +1,311 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "./Marketplace.sol";
+
+/**
+ * @title DatasetAuction
+ * @dev English and Dutch auctions for DataNFTs. Bids are escrowed here in the
+ * marketplace's oceanToken and every sale settles through Marketplace.settleSale,
+ * so fees, royalties and the NFT transfer follow the same path as buyDataset.
+ * Sellers approve the Marketplace (not this contract) to move their NFT. An auction
+ * goes stale once its NFT changes hands outside it or is burned: it can no longer be bid on or
+ * bought, anyone may cancel it and the new owner may start a fresh one. While the
+ * Marketplace or DataNFT is paused, auctions cannot be created, bid on or settled;
+ * they resume unchanged after the pause and can still be cancelled.
+ */
+contract DatasetAuction is ReentrancyGuard {
+    // A bid placed this close to the end pushes the end back by the same window
+    uint256 public constant ANTI_SNIPING_WINDOW = 10 minutes;
+
+    Marketplace public marketplace;
+    IERC20 public oceanToken;
+    IDataNFT public dataNFT;
+
+    enum AuctionType { English, Dutch }
+
+    struct Auction {
+        address seller;
+        AuctionType auctionType;
+        uint256 startPrice;   // Dutch only: price at startTime
+        uint256 reservePrice; // English: minimum first bid, Dutch: floor price
+        uint256 minIncrement; // English only
+        uint256 startTime;
+        uint256 endTime;
+        address highestBidder;
+        uint256 highestBid;
+        bool active;
+        uint256 nftNonce;     // DataNFT transfer nonce when the auction started
+    }
+
+    // Auctions keyed by NFT ID, one running auction per NFT
+    mapping(uint256 => Auction) public auctions;
+    // Outbid and failed-settlement refunds, withdrawn by the bidder
+    mapping(address => uint256) public pendingReturns;
+
+    event AuctionCreated(uint256 indexed id, address seller, AuctionType auctionType, uint256 startPrice, uint256 reservePrice, uint256 endTime);
+    event BidPlaced(uint256 indexed id, address bidder, uint256 amount, uint256 endTime);
+    event AuctionSettled(uint256 indexed id, address winner, uint256 price);
+    event AuctionFailed(uint256 indexed id, address bidder, uint256 refund);
+    event AuctionCancelled(uint256 indexed id);
+    event RefundWithdrawn(address indexed bidder, uint256 amount);
+
+    error NotOwner();
+    error NotSeller();
+    error NotApproved();
+    error AuctionAlreadyActive();
+    error AuctionNotActive();
+    error AuctionEnded();
+    error AuctionNotEnded();
+    error InvalidAuctionParams();
+    error BidTooLow();
+    error HasBids();
+    error WrongAuctionType();
+    error PaymentFailed();
+    error NothingToWithdraw();
+    error AuctionStale();
+    error TradingPaused();
+
+    /**
+     * @dev Constructor links the auction house to its Marketplace
+     * @param _marketplace The Marketplace that settles auction sales
+     */
+    constructor(address _marketplace) {
+        marketplace = Marketplace(_marketplace);
+        oceanToken = marketplace.oceanToken();
+        dataNFT = marketplace.dataNFT();
+    }
+
+    /**
+     * @dev Starts a timed English auction
+     * @param id The NFT ID
+     * @param reservePrice The minimum accepted first bid
+     * @param minIncrement The minimum raise over the current highest bid
+     * @param duration The auction length in seconds
+     */
+    function createEnglishAuction(
+        uint256 id,
+        uint256 reservePrice,
+        uint256 minIncrement,
+        uint256 duration
+    ) external {
+        if (reservePrice == 0 || minIncrement == 0 || duration == 0) revert InvalidAuctionParams();
+        _checkSeller(id);
+
+        uint256 endTime = block.timestamp + duration;
+        auctions[id] = Auction(msg.sender, AuctionType.English, 0, reservePrice, minIncrement, block.timestamp, endTime, address(0), 0, true, dataNFT.nonces(id));
+        emit AuctionCreated(id, msg.sender, AuctionType.English, 0, reservePrice, endTime);
+    }
+
+    /**
+     * @dev Starts a Dutch auction whose price decays linearly to a floor
+     * @param id The NFT ID
+     * @param startPrice The price when the auction starts
+     * @param floorPrice The price reached at the end of the auction
+     * @param duration The decay period in seconds
+     */
+    function createDutchAuction(
+        uint256 id,
+        uint256 startPrice,
+        uint256 floorPrice,
+        uint256 duration
+    ) external {
+        if (startPrice <= floorPrice || duration == 0) revert InvalidAuctionParams();
+        _checkSeller(id);
+
+        uint256 endTime = block.timestamp + duration;
+        auctions[id] = Auction(msg.sender, AuctionType.Dutch, startPrice, floorPrice, 0, block.timestamp, endTime, address(0), 0, true, dataNFT.nonces(id));
+        emit AuctionCreated(id, msg.sender, AuctionType.Dutch, startPrice, floorPrice, endTime);
+    }
+
+    /**
+     * @dev Places an escrowed bid on an English auction, crediting the outbid bidder
+     * @param id The NFT ID
+     * @param amount The bid amount in oceanToken
+     */
+    function bid(uint256 id, uint256 amount) external nonReentrant {
+        _requireNotPaused();
+        Auction storage auction = auctions[id];
+        if (!auction.active) revert AuctionNotActive();
+        if (auction.auctionType != AuctionType.English) revert WrongAuctionType();
+        if (block.timestamp >= auction.endTime) revert AuctionEnded();
+        if (isStale(id)) revert AuctionStale();
+
+        uint256 minBid = auction.highestBidder == address(0)
+            ? auction.reservePrice
+            : auction.highestBid + auction.minIncrement;
+        if (amount < minBid) revert BidTooLow();
+
+        if (auction.highestBidder != address(0)) {
+            pendingReturns[auction.highestBidder] += auction.highestBid;
+        }
+        auction.highestBidder = msg.sender;
+        auction.highestBid = amount;
+
+        // Anti-sniping: late bids extend the auction
+        if (auction.endTime - block.timestamp < ANTI_SNIPING_WINDOW) {
+            auction.endTime = block.timestamp + ANTI_SNIPING_WINDOW;
+        }
+
+        if (!oceanToken.transferFrom(msg.sender, address(this), amount)) revert PaymentFailed();
+        emit BidPlaced(id, msg.sender, amount, auction.endTime);
+    }
+
+    /**
+     * @dev Settles an ended English auction. If the auction went stale or the NFT can
+     * no longer be delivered, the winning bid is credited back to the bidder instead.
+     * @param id The NFT ID
+     */
+    function settleAuction(uint256 id) external nonReentrant {
+        _requireNotPaused();
+        Auction storage auction = auctions[id];
+        if (!auction.active) revert AuctionNotActive();
+        if (auction.auctionType != AuctionType.English) revert WrongAuctionType();
+        if (block.timestamp < auction.endTime) revert AuctionNotEnded();
+
+        auction.active = false;
+        address winner = auction.highestBidder;
+        uint256 price = auction.highestBid;
+
+        if (winner == address(0)) {
+            emit AuctionSettled(id, address(0), 0);
+            return;
+        }
+        if (isStale(id)) {
+            pendingReturns[winner] += price;
+            emit AuctionFailed(id, winner, price);
+            return;
+        }
+
+        if (!oceanToken.approve(address(marketplace), price)) revert PaymentFailed();
+        try marketplace.settleSale(id, auction.seller, winner, price) {
+            emit AuctionSettled(id, winner, price);
+        } catch {
+            if (!oceanToken.approve(address(marketplace), 0)) revert PaymentFailed();
+            pendingReturns[winner] += price;
+            emit AuctionFailed(id, winner, price);
+        }
+    }
+
+    /**
+     * @dev Buys the NFT from a Dutch auction at the current price
+     * @param id The NFT ID
+     * @param maxPrice The most the buyer is willing to pay
+     */
+    function buyDutch(uint256 id, uint256 maxPrice) external nonReentrant {
+        _requireNotPaused();
+        Auction storage auction = auctions[id];
+        if (!auction.active) revert AuctionNotActive();
+        if (auction.auctionType != AuctionType.Dutch) revert WrongAuctionType();
+        if (isStale(id)) revert AuctionStale();
+
+        uint256 price = currentPrice(id);
+        if (price > maxPrice) revert BidTooLow();
+
+        auction.active = false;
+        auction.highestBidder = msg.sender;
+        auction.highestBid = price;
+
+        if (!oceanToken.transferFrom(msg.sender, address(this), price)) revert PaymentFailed();
+        if (!oceanToken.approve(address(marketplace), price)) revert PaymentFailed();
+        marketplace.settleSale(id, auction.seller, msg.sender, price);
+
+        emit AuctionSettled(id, msg.sender, price);
+    }
+
+    /**
+     * @dev Cancels an auction. The seller may cancel one without bids; anyone may cancel
+     * a stale one, crediting its highest bid back to the bidder.
+     * @param id The NFT ID
+     */
+    function cancelAuction(uint256 id) external {
+        Auction storage auction = auctions[id];
+        if (!auction.active) revert AuctionNotActive();
+        if (!isStale(id)) {
+            if (auction.seller != msg.sender) revert NotSeller();
+            if (auction.highestBidder != address(0)) revert HasBids();
+        }
+        _closeAuction(id);
+    }
+
+    /**
+     * @dev Withdraws refunds owed to the caller from being outbid
+     */
+    function withdrawRefund() external nonReentrant {
+        uint256 amount = pendingReturns[msg.sender];
+        if (amount == 0) revert NothingToWithdraw();
+
+        pendingReturns[msg.sender] = 0;
+        if (!oceanToken.transfer(msg.sender, amount)) revert PaymentFailed();
+        emit RefundWithdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @dev Gets the current price of a Dutch auction, or the minimum next bid of an English one
+     * @param id The NFT ID
+     * @return The price in oceanToken
+     */
+    function currentPrice(uint256 id) public view returns (uint256) {
+        Auction storage auction = auctions[id];
+        if (auction.auctionType == AuctionType.English) {
+            return auction.highestBidder == address(0)
+                ? auction.reservePrice
+                : auction.highestBid + auction.minIncrement;
+        }
+
+        if (block.timestamp >= auction.endTime) return auction.reservePrice;
+        uint256 elapsed = block.timestamp - auction.startTime;
+        uint256 decay = ((auction.startPrice - auction.reservePrice) * elapsed) / (auction.endTime - auction.startTime);
+        return auction.startPrice - decay;
+    }
+
+    /**
+     * @dev Whether an active auction's NFT has changed hands since the auction started or
+     * was burned, so the seller can no longer deliver it or re-acquired it after selling elsewhere
+     * @param id The NFT ID
+     */
+    function isStale(uint256 id) public view returns (bool) {
+        Auction storage auction = auctions[id];
+        if (!auction.active) return false;
+        try dataNFT.nonces(id) returns (uint256 nonce) {
+            return nonce != auction.nftNonce;
+        } catch {
+            return true; // Burned
+        }
+    }
+
+    /**
+     * @dev Ensures the caller owns the NFT, the Marketplace may move it and no live auction
+     * is running; a stale auction is closed to make way for the new one
+     */
+    function _checkSeller(uint256 id) internal {
+        _requireNotPaused();
+        if (dataNFT.ownerOf(id) != msg.sender) revert NotOwner();
+        if (!marketplace.checkApprovals(id, msg.sender)) revert NotApproved();
+        if (auctions[id].active) {
+            if (!isStale(id)) revert AuctionAlreadyActive();
+            _closeAuction(id);
+        }
+    }
+
+    /**
+     * @dev Reverts while the Marketplace or DataNFT is paused, so a pause never fails a settlement
+     */
+    function _requireNotPaused() internal view {
+        if (marketplace.paused() || dataNFT.paused()) revert TradingPaused();
+    }
+
+    /**
+     * @dev Ends an auction without a sale, crediting any highest bid back to the bidder
+     */
+    function _closeAuction(uint256 id) internal {
+        Auction storage auction = auctions[id];
+        auction.active = false;
+        if (auction.highestBidder != address(0)) {
+            pendingReturns[auction.highestBidder] += auction.highestBid;
+        }
+        emit AuctionCancelled(id);
+    }
+}
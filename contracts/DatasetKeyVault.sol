@@ -0,0 +1,89 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./DataNFT.sol";
+
+/**
+ * @title DatasetKeyVault
+ * @dev Delivers the decryption keys of private datasets without ever exposing them
+ * on-chain. Buyers register an encryption public key; the NFT owner or one of the
+ * owner's key-release agents then posts the dataset key encrypted to that public key
+ * (see scripts/lib/key-envelope.js). Only the envelope is stored and emitted.
+ */
+contract DatasetKeyVault {
+    IDataNFT public immutable dataNFT;
+
+    // secp256k1 encryption public key (33-byte compressed or 65-byte uncompressed) per user
+    mapping(address => bytes) public encryptionPublicKeys;
+    // Agents an NFT owner trusts to release keys on their behalf
+    mapping(address => mapping(address => bool)) public keyReleaseAgents;
+    // Latest key envelope per NFT ID and recipient
+    mapping(uint256 => mapping(address => bytes)) private keyEnvelopes;
+
+    event EncryptionKeyRegistered(address indexed user, bytes publicKey);
+    event KeyReleaseAgentSet(address indexed owner, address indexed agent, bool allowed);
+    event KeyEnvelopePosted(uint256 indexed tokenId, address indexed recipient, address sender, bytes envelope);
+
+    error InvalidPublicKey();
+    error InvalidEnvelope();
+    error NotAuthorized();
+    error NoEncryptionKey();
+    error NoAccess();
+
+    /**
+     * @dev Constructor links the vault to the DataNFT contract
+     * @param _dataNFT The DataNFT contract whose access rules apply
+     */
+    constructor(address _dataNFT) {
+        dataNFT = IDataNFT(_dataNFT);
+    }
+
+    /**
+     * @dev Registers or rotates the caller's encryption public key. Envelopes posted
+     * to a previous key must be posted again.
+     * @param publicKey The secp256k1 public key envelopes are encrypted to
+     */
+    function registerEncryptionKey(bytes calldata publicKey) external {
+        if (publicKey.length != 33 && publicKey.length != 65) revert InvalidPublicKey();
+        encryptionPublicKeys[msg.sender] = publicKey;
+        emit EncryptionKeyRegistered(msg.sender, publicKey);
+    }
+
+    /**
+     * @dev Allows or revokes an agent that may post envelopes for all of the caller's NFTs
+     * @param agent The key-release agent, e.g. an off-chain service watching sales
+     * @param allowed Whether the agent may release keys
+     */
+    function setKeyReleaseAgent(address agent, bool allowed) external {
+        keyReleaseAgents[msg.sender][agent] = allowed;
+        emit KeyReleaseAgentSet(msg.sender, agent, allowed);
+    }
+
+    /**
+     * @dev Posts a dataset key encrypted to a recipient who has access to the dataset
+     * @param tokenId The NFT ID
+     * @param recipient The user the envelope is encrypted to
+     * @param envelope The encrypted key envelope
+     */
+    function postKeyEnvelope(uint256 tokenId, address recipient, bytes calldata envelope) external {
+        if (envelope.length == 0) revert InvalidEnvelope();
+
+        address owner = dataNFT.ownerOf(tokenId);
+        if (msg.sender != owner && !keyReleaseAgents[owner][msg.sender]) revert NotAuthorized();
+        if (encryptionPublicKeys[recipient].length == 0) revert NoEncryptionKey();
+        if (!dataNFT.hasAccess(tokenId, recipient)) revert NoAccess();
+
+        keyEnvelopes[tokenId][recipient] = envelope;
+        emit KeyEnvelopePosted(tokenId, recipient, msg.sender, envelope);
+    }
+
+    /**
+     * @dev Gets the envelope posted to a recipient for a dataset
+     * @param tokenId The NFT ID
+     * @param recipient The user the envelope is encrypted to
+     * @return The encrypted key envelope, empty if none was posted
+     */
+    function getKeyEnvelope(uint256 tokenId, address recipient) external view returns (bytes memory) {
+        return keyEnvelopes[tokenId][recipient];
+    }
+}
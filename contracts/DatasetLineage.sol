@@ -0,0 +1,138 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./DataNFT.sol";
+
+/**
+ * @title DatasetLineage
+ * @dev On-chain lineage graph of derivative datasets. DataNFT records the parents of
+ * a derivative when it is minted; the graph can be walked upwards (getParents) and
+ * downwards (getChildren). A derivative sale pays upstreamShareBps of the price to the
+ * current owners of its parents, split equally between them.
+ */
+contract DatasetLineage is IDatasetLineage, Ownable {
+    uint256 public constant MAX_PARENTS = 16;
+    uint256 public constant MAX_UPSTREAM_SHARE_BPS = 5000;
+    uint256 private constant BPS_DENOMINATOR = 10000;
+
+    IDataNFT public immutable dataNFT;
+    // Share of each derivative sale paid to the parents' owners, in basis points
+    uint256 public upstreamShareBps;
+
+    // Derivative licence: whether a dataset may be used as a parent
+    mapping(uint256 => bool) public allowsDerivatives;
+    mapping(uint256 => uint256[]) private _parents;
+    mapping(uint256 => uint256[]) private _children;
+
+    event DerivativeRecorded(uint256 indexed tokenId, uint256[] parentIds);
+    event DerivativeLicenceSet(uint256 indexed tokenId, bool allowed);
+    event UpstreamShareUpdated(uint256 upstreamShareBps);
+
+    error NotDataNFT();
+    error NotTheOwner();
+    error TooManyParents();
+    error InvalidParent(uint256 parentId);
+    error DerivativesNotAllowed(uint256 parentId);
+    error ShareTooHigh();
+
+    /**
+     * @dev Constructor links the lineage graph to the DataNFT contract
+     * @param _dataNFT The DataNFT contract that records derivatives
+     */
+    constructor(address _dataNFT) {
+        dataNFT = IDataNFT(_dataNFT);
+    }
+
+    /**
+     * @dev Records a newly minted dataset's parents and derivative licence
+     * @param tokenId The new NFT ID
+     * @param parentIds The datasets it was derived from, each licensed for derivatives
+     * @param allowed Whether the new dataset may itself be used as a parent
+     */
+    function recordDerivative(uint256 tokenId, uint256[] calldata parentIds, bool allowed) external {
+        if (msg.sender != address(dataNFT)) revert NotDataNFT();
+        if (parentIds.length > MAX_PARENTS) revert TooManyParents();
+
+        for (uint256 i = 0; i < parentIds.length; i++) {
+            uint256 parentId = parentIds[i];
+            if (parentId == tokenId) revert InvalidParent(parentId);
+            for (uint256 j = 0; j < i; j++) {
+                if (parentIds[j] == parentId) revert InvalidParent(parentId);
+            }
+            if (!allowsDerivatives[parentId]) revert DerivativesNotAllowed(parentId);
+
+            _parents[tokenId].push(parentId);
+            _children[parentId].push(tokenId);
+        }
+
+        allowsDerivatives[tokenId] = allowed;
+        if (parentIds.length > 0) emit DerivativeRecorded(tokenId, parentIds);
+        emit DerivativeLicenceSet(tokenId, allowed);
+    }
+
+    /**
+     * @dev Grants or withdraws the derivative licence of a dataset. Existing derivatives
+     * keep their lineage.
+     * @param tokenId The NFT ID
+     * @param allowed Whether new derivatives may use the dataset as a parent
+     */
+    function setAllowsDerivatives(uint256 tokenId, bool allowed) external {
+        if (dataNFT.ownerOf(tokenId) != msg.sender) revert NotTheOwner();
+        allowsDerivatives[tokenId] = allowed;
+        emit DerivativeLicenceSet(tokenId, allowed);
+    }
+
+    /**
+     * @dev Sets the share of each derivative sale paid upstream
+     * @param _upstreamShareBps The share in basis points, at most MAX_UPSTREAM_SHARE_BPS
+     */
+    function setUpstreamShareBps(uint256 _upstreamShareBps) external onlyOwner {
+        if (_upstreamShareBps > MAX_UPSTREAM_SHARE_BPS) revert ShareTooHigh();
+        upstreamShareBps = _upstreamShareBps;
+        emit UpstreamShareUpdated(_upstreamShareBps);
+    }
+
+    /**
+     * @dev Gets the datasets a dataset was derived from
+     * @param tokenId The NFT ID
+     */
+    function getParents(uint256 tokenId) external view returns (uint256[] memory) {
+        return _parents[tokenId];
+    }
+
+    /**
+     * @dev Gets the datasets derived from a dataset
+     * @param tokenId The NFT ID
+     */
+    function getChildren(uint256 tokenId) external view returns (uint256[] memory) {
+        return _children[tokenId];
+    }
+
+    /**
+     * @dev Computes the upstream payments of a derivative sale. Burned parents get
+     * nothing, leaving their part with the seller.
+     * @param tokenId The NFT ID being sold
+     * @param salePrice The sale price
+     * @return receivers The current owner of each parent
+     * @return amounts The amount owed to each receiver
+     */
+    function upstreamPayments(uint256 tokenId, uint256 salePrice)
+        external
+        view
+        returns (address[] memory receivers, uint256[] memory amounts)
+    {
+        uint256[] storage parents = _parents[tokenId];
+        receivers = new address[](parents.length);
+        amounts = new uint256[](parents.length);
+        if (parents.length == 0) return (receivers, amounts);
+
+        uint256 perParent = (salePrice * upstreamShareBps) / BPS_DENOMINATOR / parents.length;
+        for (uint256 i = 0; i < parents.length; i++) {
+            try dataNFT.ownerOf(parents[i]) returns (address parentOwner) {
+                receivers[i] = parentOwner;
+                amounts[i] = perParent;
+            } catch {}
+        }
+    }
+}
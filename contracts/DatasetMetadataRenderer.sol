@@ -0,0 +1,155 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./DataNFT.sol";
+
+/**
+ * @title DatasetMetadataRenderer
+ * @dev Stores structured metadata per DataNFT and renders it as ERC-721 metadata JSON,
+ * returned as a base64 data URI. Kept out of DataNFT so the metadata and string handling
+ * do not count towards its contract size limit.
+ */
+contract DatasetMetadataRenderer is IDatasetMetadataRenderer {
+    // Upper bound on tags per dataset, keeping rendered metadata bounded
+    uint256 public constant MAX_TAGS = 16;
+
+    DataNFT public immutable dataNFT;
+
+    // Structured dataset facts readable by catalogues and indexers
+    struct DatasetMetadata {
+        string title;
+        string description;
+        string fileFormat;    // e.g. "text/csv" or "application/parquet"
+        uint256 byteSize;
+        uint256 rowCount;
+        bytes32 schemaHash;   // Hash of the column schema
+        string license;       // SPDX license identifier
+        string category;
+        string[] tags;
+    }
+    mapping(uint256 => DatasetMetadata) private _metadata;
+    // Whether DataNFT.tokenURI returns the rendered JSON instead of the minted metadata URI
+    mapping(uint256 => bool) public rendersOnChain;
+
+    event DatasetMetadataUpdated(uint256 indexed tokenId, bool rendersOnChain);
+
+    error NotTheOwner();
+    error InvalidMetadata();
+
+    /**
+     * @dev Constructor links the renderer to the DataNFT contract it reads from
+     * @param _dataNFT The DataNFT contract
+     */
+    constructor(address _dataNFT) {
+        dataNFT = DataNFT(_dataNFT);
+    }
+
+    /**
+     * @dev Sets the structured metadata of a dataset and whether tokenURI renders it on-chain
+     * @param tokenId The NFT ID
+     * @param metadata The structured metadata; a title is required
+     * @param renderOnChain Whether DataNFT.tokenURI should return the rendered JSON
+     */
+    function setDatasetMetadata(uint256 tokenId, DatasetMetadata calldata metadata, bool renderOnChain) external {
+        if (dataNFT.ownerOf(tokenId) != msg.sender) revert NotTheOwner();
+        if (bytes(metadata.title).length == 0 || metadata.tags.length > MAX_TAGS) revert InvalidMetadata();
+
+        _metadata[tokenId] = metadata;
+        rendersOnChain[tokenId] = renderOnChain;
+        emit DatasetMetadataUpdated(tokenId, renderOnChain);
+    }
+
+    /**
+     * @dev Gets the structured metadata of a dataset
+     * @param tokenId The NFT ID
+     * @return The metadata (empty if none was set)
+     */
+    function getDatasetMetadata(uint256 tokenId) external view returns (DatasetMetadata memory) {
+        return _metadata[tokenId];
+    }
+
+    /**
+     * @dev Renders the metadata JSON of a DataNFT
+     * @param tokenId The NFT ID
+     * @return A data:application/json;base64 URI
+     */
+    function tokenURI(uint256 tokenId) external view returns (string memory) {
+        return string(abi.encodePacked(
+            "data:application/json;base64,",
+            Base64.encode(bytes(renderJSON(tokenId)))
+        ));
+    }
+
+    /**
+     * @dev Renders the metadata JSON of a DataNFT without encoding it
+     * @param tokenId The NFT ID
+     * @return The ERC-721 metadata JSON
+     */
+    function renderJSON(uint256 tokenId) public view returns (string memory) {
+        DatasetMetadata memory metadata = _metadata[tokenId];
+
+        return string(abi.encodePacked(
+            '{"name":"', _escape(metadata.title),
+            '","description":"', _escape(metadata.description),
+            '","attributes":[',
+            _attribute("File Format", _escape(metadata.fileFormat), true), ",",
+            _attribute("Byte Size", Strings.toString(metadata.byteSize), false), ",",
+            _attribute("Row Count", Strings.toString(metadata.rowCount), false), ",",
+            _attribute("Schema Hash", Strings.toHexString(uint256(metadata.schemaHash), 32), true), ",",
+            _attribute("License", _escape(metadata.license), true), ",",
+            _attribute("Category", _escape(metadata.category), true),
+            _tagAttributes(metadata.tags),
+            '],"dataset_hash":"', Strings.toHexString(uint256(dataNFT.datasetHashes(tokenId)), 32),
+            '"}'
+        ));
+    }
+
+    function _tagAttributes(string[] memory tags) internal pure returns (bytes memory out) {
+        for (uint256 i = 0; i < tags.length; i++) {
+            out = abi.encodePacked(out, ",", _attribute("Tag", _escape(tags[i]), true));
+        }
+    }
+
+    function _attribute(string memory traitType, string memory value, bool quoted) internal pure returns (bytes memory) {
+        return quoted
+            ? abi.encodePacked('{"trait_type":"', traitType, '","value":"', value, '"}')
+            : abi.encodePacked('{"trait_type":"', traitType, '","display_type":"number","value":', value, "}");
+    }
+
+    /**
+     * @dev Escapes quotes, backslashes and control characters for a JSON string
+     */
+    function _escape(string memory value) internal pure returns (string memory) {
+        bytes memory input = bytes(value);
+        uint256 length = input.length;
+        for (uint256 i = 0; i < input.length; i++) {
+            bytes1 c = input[i];
+            if (c == '"' || c == "\\") length += 1;
+            else if (uint8(c) < 0x20) length += 5;
+        }
+        if (length == input.length) return value;
+
+        bytes memory output = new bytes(length);
+        uint256 j;
+        for (uint256 i = 0; i < input.length; i++) {
+            bytes1 c = input[i];
+            if (c == '"' || c == "\\") {
+                output[j++] = "\\";
+                output[j++] = c;
+            } else if (uint8(c) < 0x20) {
+                bytes memory hexChars = "0123456789abcdef";
+                output[j++] = "\\";
+                output[j++] = "u";
+                output[j++] = "0";
+                output[j++] = "0";
+                output[j++] = hexChars[uint8(c) >> 4];
+                output[j++] = hexChars[uint8(c) & 0x0f];
+            } else {
+                output[j++] = c;
+            }
+        }
+        return string(output);
+    }
+}
@@ -2,16 +2,75 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/draft-ERC20Permit.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
 import "./DataNFT.sol";
 
-contract DataToken is ERC20, Ownable, ReentrancyGuard {
+contract DataToken is ERC20, ERC20Permit, Ownable, ReentrancyGuard {
+    // Fixed: buyTokens mints at tokenPrice. Linear and Exponential: the price rises with
+    // totalSupply along a bonding curve starting at tokenPrice, backed by an ETH reserve.
+    enum PricingMode { Fixed, Linear, Exponential }
+
+    uint256 private constant WAD = 1e18;
+    uint256 private constant LN2_WAD = 693147180559945309; // ln(2) in 18-decimal fixed point
+    uint256 private constant MAX_EXPONENT_WAD = 64e18;      // Caps the exponential price at e^64 x tokenPrice
+    uint256 private constant BPS_DENOMINATOR = 10000;
+    uint256 private constant DIVIDEND_MAGNITUDE = 2**128;   // Precision of the dividend accumulators
+    address private constant ETHER = address(0);            // Dividend currency key for ETH
+
     uint256 public initialSupply;
-    uint256 public tokenPrice; // Price of 1 DataToken in wei
+    uint256 public tokenPrice; // Price of 1 DataToken in wei; the curve's starting price in curve modes
     uint256 public maxSupply;  // Maximum supply limit
     uint8 private immutable _decimals;
 
+    PricingMode public pricingMode;
+    // Linear: price increase in wei per whole token of supply.
+    // Exponential: price growth rate per whole token of supply, in 18-decimal fixed point.
+    uint256 public curveParameter;
+    // ETH held to buy tokens back along the curve; never withdrawn by the owner
+    uint256 public reserveBalance;
+
+    // Access product sold through redeemAccessTier, e.g. a one-off download or a commercial licence
+    struct AccessTier {
+        string name;
+        uint256 price;        // Datatokens required per redemption
+        uint256 duration;     // Seconds of access (0 = permanent)
+        bool burnOnRedeem;    // Burn the tokens instead of forwarding them to the NFT owner
+        bool active;
+    }
+    AccessTier[] private _accessTiers;
+
+    // On-chain record of one redemption
+    struct ConsumptionReceipt {
+        address buyer;
+        uint256 nftId;
+        uint256 tierId;
+        uint256 amount;
+        uint256 expiresAt;    // type(uint256).max for permanent access
+        uint256 redeemedAt;
+    }
+    ConsumptionReceipt[] private _receipts;
+    // Receipt IDs per buyer
+    mapping(address => uint256[]) private _receiptsByBuyer;
+
+    // Share of fixed-price primary sales (in ETH) and forwarded access fees (in datatokens)
+    // paid out to holders pro-rata, in basis points (0 = revenue sharing off)
+    uint256 public dividendShareBps;
+    // Dividend accumulators per currency (ETHER or this token). A holder's dividends are
+    // balance * dividendPerShare + correction - withdrawn; corrections are adjusted on every
+    // balance change so tokens only earn distributions made while they are held.
+    mapping(address => uint256) private _magnifiedDividendPerShare;
+    mapping(address => mapping(address => int256)) private _magnifiedDividendCorrections;
+    mapping(address => mapping(address => uint256)) private _withdrawnDividends;
+    // Dividends distributed but not yet claimed per currency
+    mapping(address => uint256) public unclaimedDividends;
+    // Contract and escrow holders (factory, splitter, marketplace, auctions) whose balances
+    // earn no dividends, and the sum of their balances
+    mapping(address => bool) public excludedFromDividends;
+    uint256 private _excludedSupply;
+
     // Associated NFT contract
     address public associatedNFTContract;
     uint256 public associatedNFTId;
@@ -29,12 +88,40 @@ contract DataToken is ERC20, Ownable, ReentrancyGuard {
     error WithdrawalFailed();
     error NoEtherToWithdraw();
     error TransferFailed();
+    error PricingLocked();
+    error InvalidCurve();
+    error NoBondingCurve();
+    error CurveOutOfRange();
+    error SlippageExceeded();
+    error InsufficientReserve();
+    error InvalidTier();
+    error DividendShareLocked();
+    error NoDividends();
+    error InvalidDividendAccount();
+    error AccessPaused();
+    error DatasetIsFrozen(uint256 reasonCode);
 
     event DataTokenMinted(uint256 amount, address owner);
     event TokenPriceUpdated(uint256 newPrice);
     event NFTLinked(uint256 tokenId, address nftContract);
     event DataAccessRedeemed(uint256 indexed nftId, address user, string datasetCID);
     event EtherWithdrawn(address indexed owner, uint256 amount);
+    event BondingCurveEnabled(PricingMode mode, uint256 curveParameter);
+    event TokensSold(address indexed seller, uint256 amount, uint256 etherReturned);
+    event DividendShareUpdated(uint256 dividendShareBps);
+    event DividendsDistributed(address indexed currency, uint256 amount);
+    event DividendsClaimed(address indexed holder, uint256 etherAmount, uint256 tokenAmount);
+    event DividendExclusionSet(address indexed account, bool excluded);
+    event AccessTierAdded(uint256 indexed tierId, string name, uint256 price, uint256 duration, bool burnOnRedeem);
+    event AccessTierStatusChanged(uint256 indexed tierId, bool active);
+    event ConsumptionReceiptIssued(
+        uint256 indexed receiptId,
+        uint256 indexed nftId,
+        address indexed buyer,
+        uint256 tierId,
+        uint256 amount,
+        uint256 expiresAt
+    );
 
     constructor(
         string memory name,
@@ -42,7 +129,7 @@ contract DataToken is ERC20, Ownable, ReentrancyGuard {
         uint256 _initialSupply,
         uint256 _tokenPrice,
         uint8 decimalsValue
-    ) ERC20(name, symbol) {
+    ) ERC20(name, symbol) ERC20Permit(name) {
         _decimals = decimalsValue;
         maxSupply = 1_000_000 * (10 ** _decimals); // Set to 1 million tokens by default
         
@@ -90,13 +177,30 @@ contract DataToken is ERC20, Ownable, ReentrancyGuard {
         }
     }
 
+    // Price tokens along a bonding curve starting at tokenPrice. Only possible before any
+    // token exists, so the reserve always backs the whole supply; TokenFactory calls it at creation.
+    function enableBondingCurve(PricingMode mode, uint256 _curveParameter) external onlyOwner {
+        if (pricingMode != PricingMode.Fixed || totalSupply() != 0) revert PricingLocked();
+        if (mode == PricingMode.Fixed || _curveParameter == 0) revert InvalidCurve();
+
+        pricingMode = mode;
+        curveParameter = _curveParameter;
+        emit BondingCurveEnabled(mode, _curveParameter);
+    }
+
     // Buy tokens with Ether, respecting max supply
     function buyTokens(uint256 tokenAmount) external payable nonReentrant {
-        uint256 cost = (tokenAmount * tokenPrice) / (10 ** _decimals);
+        uint256 cost = quoteBuy(tokenAmount);
         
         if (totalSupply() + tokenAmount > maxSupply) revert MaxSupplyExceeded();
         if (msg.value < cost) revert InsufficientEther();
 
+        // Curve sales back the reserve in full; fixed-price sales share revenue with holders
+        if (pricingMode != PricingMode.Fixed) {
+            reserveBalance += cost;
+        } else {
+            _distributeDividends(ETHER, (cost * dividendShareBps) / BPS_DENOMINATOR);
+        }
         _mint(msg.sender, tokenAmount);
 
         if (msg.value > cost) {
@@ -105,9 +209,151 @@ contract DataToken is ERC20, Ownable, ReentrancyGuard {
         }
     }
 
-    // Withdraw accumulated Ether
+    // Sell tokens back to the bonding curve for at least minEther from the reserve
+    function sellTokens(uint256 tokenAmount, uint256 minEther) external nonReentrant {
+        if (balanceOf(msg.sender) < tokenAmount) revert InsufficientTokens();
+
+        uint256 proceeds = quoteSell(tokenAmount);
+        if (proceeds < minEther) revert SlippageExceeded();
+        if (proceeds > reserveBalance) revert InsufficientReserve();
+
+        reserveBalance -= proceeds;
+        _burn(msg.sender, tokenAmount);
+
+        (bool success, ) = payable(msg.sender).call{value: proceeds}("");
+        if (!success) revert TransferFailed();
+        emit TokensSold(msg.sender, tokenAmount, proceeds);
+    }
+
+    // Ether needed to buy tokenAmount tokens at the current supply
+    function quoteBuy(uint256 tokenAmount) public view returns (uint256) {
+        if (pricingMode == PricingMode.Fixed) return (tokenAmount * tokenPrice) / (10 ** _decimals);
+        uint256 supply = totalSupply();
+        return _curveIntegral(supply + tokenAmount) - _curveIntegral(supply);
+    }
+
+    // Ether returned for selling tokenAmount tokens back to the curve at the current supply
+    function quoteSell(uint256 tokenAmount) public view returns (uint256) {
+        if (pricingMode == PricingMode.Fixed) revert NoBondingCurve();
+        uint256 supply = totalSupply();
+        if (tokenAmount > supply) revert InsufficientTokens();
+        return _curveIntegral(supply) - _curveIntegral(supply - tokenAmount);
+    }
+
+    // Price of one whole token at the current supply, in wei
+    function currentPrice() external view returns (uint256) {
+        uint256 supplyInTokens = (totalSupply() * WAD) / (10 ** _decimals);
+        if (pricingMode == PricingMode.Linear) return tokenPrice + (curveParameter * supplyInTokens) / WAD;
+        if (pricingMode == PricingMode.Exponential) {
+            return (tokenPrice * _expWad((curveParameter * supplyInTokens) / WAD)) / WAD;
+        }
+        return tokenPrice;
+    }
+
+    // Ether needed to buy the supply up from zero: the area under the price curve. Buy and
+    // sell quotes are differences of this function, so the reserve always covers every sale.
+    function _curveIntegral(uint256 supply) internal view returns (uint256) {
+        uint256 unit = 10 ** _decimals;
+        if (pricingMode == PricingMode.Linear) {
+            // tokenPrice * s + slope * s^2 / 2
+            return (tokenPrice * supply) / unit + (curveParameter * supply * supply) / (2 * unit * unit);
+        }
+        // tokenPrice * (e^(k * s) - 1) / k
+        return (tokenPrice * (_expWad((curveParameter * supply) / unit) - WAD)) / curveParameter;
+    }
+
+    // e^x for an 18-decimal fixed-point x, as 2^n * e^r with r < ln(2) summed as a Taylor series
+    function _expWad(uint256 x) internal pure returns (uint256) {
+        if (x > MAX_EXPONENT_WAD) revert CurveOutOfRange();
+        uint256 n = x / LN2_WAD;
+        uint256 r = x - n * LN2_WAD;
+
+        uint256 term = WAD;
+        uint256 sum = WAD;
+        for (uint256 i = 1; term != 0; i++) {
+            term = (term * r) / (i * WAD);
+            sum += term;
+        }
+        return sum << n;
+    }
+
+    // Set the share of revenue paid to holders. It can only be raised, so backers who
+    // bought tokens for their dividends can rely on it.
+    function setDividendShare(uint256 _dividendShareBps) external onlyOwner {
+        if (_dividendShareBps < dividendShareBps || _dividendShareBps > BPS_DENOMINATOR) revert DividendShareLocked();
+        dividendShareBps = _dividendShareBps;
+        emit DividendShareUpdated(_dividendShareBps);
+    }
+
+    // Exclude a contract or escrow holder from dividends, or include it again. Dividends earned
+    // before an exclusion stay claimable; an included account only earns later distributions.
+    function setDividendExclusion(address account, bool excluded) external onlyOwner {
+        if (account == address(this)) revert InvalidDividendAccount();
+        if (excludedFromDividends[account] == excluded) return;
+
+        uint256 balance = balanceOf(account);
+        if (excluded) {
+            _correctDividends(ETHER, account, address(0), balance);
+            _correctDividends(address(this), account, address(0), balance);
+            _excludedSupply += balance;
+        } else {
+            _correctDividends(ETHER, address(0), account, balance);
+            _correctDividends(address(this), address(0), account, balance);
+            _excludedSupply -= balance;
+        }
+        excludedFromDividends[account] = excluded;
+        emit DividendExclusionSet(account, excluded);
+    }
+
+    // Claim every dividend owed to the caller, in ETH and in datatokens
+    function claim() external nonReentrant {
+        uint256 etherAmount = _withdrawDividends(ETHER, msg.sender);
+        uint256 tokenAmount = _withdrawDividends(address(this), msg.sender);
+        if (etherAmount == 0 && tokenAmount == 0) revert NoDividends();
+
+        if (tokenAmount > 0) _transfer(address(this), msg.sender, tokenAmount);
+        if (etherAmount > 0) {
+            (bool success, ) = payable(msg.sender).call{value: etherAmount}("");
+            if (!success) revert TransferFailed();
+        }
+        emit DividendsClaimed(msg.sender, etherAmount, tokenAmount);
+    }
+
+    // Dividends a holder can claim, in ETH and in datatokens
+    function dividendsOf(address holder) public view returns (uint256 etherAmount, uint256 tokenAmount) {
+        return (_dividendsOf(ETHER, holder), _dividendsOf(address(this), holder));
+    }
+
+    function _dividendsOf(address currency, address holder) internal view returns (uint256) {
+        uint256 balance = excludedFromDividends[holder] ? 0 : balanceOf(holder);
+        int256 accumulated = SafeCast.toInt256(_magnifiedDividendPerShare[currency] * balance) +
+            _magnifiedDividendCorrections[currency][holder];
+        return SafeCast.toUint256(accumulated) / DIVIDEND_MAGNITUDE - _withdrawnDividends[currency][holder];
+    }
+
+    function _withdrawDividends(address currency, address holder) internal returns (uint256 amount) {
+        amount = _dividendsOf(currency, holder);
+        if (amount == 0) return 0;
+        _withdrawnDividends[currency][holder] += amount;
+        unclaimedDividends[currency] -= amount;
+    }
+
+    // Spread an amount over every holder except excluded ones and this contract, whose balance
+    // is undistributed dividends. Returns the amount distributed (0 when sharing is off or no
+    // eligible holder holds tokens).
+    function _distributeDividends(address currency, uint256 amount) internal returns (uint256) {
+        uint256 eligibleSupply = totalSupply() - balanceOf(address(this)) - _excludedSupply;
+        if (amount == 0 || eligibleSupply == 0) return 0;
+
+        _magnifiedDividendPerShare[currency] += (amount * DIVIDEND_MAGNITUDE) / eligibleSupply;
+        unclaimedDividends[currency] += amount;
+        emit DividendsDistributed(currency, amount);
+        return amount;
+    }
+
+    // Withdraw accumulated Ether, keeping the bonding-curve reserve and unclaimed dividends
     function withdrawEther() external onlyOwner {
-        uint256 balance = address(this).balance;
+        uint256 balance = address(this).balance - reserveBalance - unclaimedDividends[ETHER];
         if (balance == 0) revert NoEtherToWithdraw();
         
         (bool success, ) = payable(owner()).call{value: balance}("");
@@ -118,6 +364,7 @@ contract DataToken is ERC20, Ownable, ReentrancyGuard {
 
     // Update token price
     function updateTokenPrice(uint256 newPrice) external onlyOwner {
+        if (pricingMode != PricingMode.Fixed) revert PricingLocked();
         tokenPrice = newPrice;
         emit TokenPriceUpdated(newPrice);
     }
@@ -133,8 +380,42 @@ contract DataToken is ERC20, Ownable, ReentrancyGuard {
         maxSupply = newMaxSupply;
     }
 
-    // Redeem tokens for NFT data access
-    function redeemForAccess(uint256 amount, uint256 nftId) external nonReentrant returns (string memory, bytes32) {
+    // Define an access tier; its ID is its index
+    function addAccessTier(string calldata name, uint256 price, uint256 duration, bool burnOnRedeem)
+        external
+        onlyOwner
+        returns (uint256 tierId)
+    {
+        if (price == 0) revert InvalidTier();
+        tierId = _accessTiers.length;
+        _accessTiers.push(AccessTier(name, price, duration, burnOnRedeem, true));
+        emit AccessTierAdded(tierId, name, price, duration, burnOnRedeem);
+    }
+
+    // Stop or resume selling a tier; receipts already issued stay valid
+    function setAccessTierActive(uint256 tierId, bool active) external onlyOwner {
+        if (tierId >= _accessTiers.length) revert InvalidTier();
+        _accessTiers[tierId].active = active;
+        emit AccessTierStatusChanged(tierId, active);
+    }
+
+    function getAccessTier(uint256 tierId) external view returns (AccessTier memory) {
+        if (tierId >= _accessTiers.length) revert InvalidTier();
+        return _accessTiers[tierId];
+    }
+
+    function accessTierCount() external view returns (uint256) {
+        return _accessTiers.length;
+    }
+
+    // Pay the price of an access tier for NFT data access, issuing a consumption receipt and
+    // the matching DataNFT access grant
+    function redeemAccessTier(uint256 tierId, uint256 nftId) public nonReentrant returns (string memory) {
+        if (tierId >= _accessTiers.length) revert InvalidTier();
+        AccessTier memory tier = _accessTiers[tierId];
+        if (!tier.active) revert InvalidTier();
+        uint256 amount = tier.price;
+
         if (balanceOf(msg.sender) < amount) revert InsufficientTokens();
         
         if (associatedNFTContract == address(0)) revert NoNFTLinked();
@@ -148,6 +429,11 @@ contract DataToken is ERC20, Ownable, ReentrancyGuard {
         }
         
         if (linkedToken != address(this)) revert NFTNotLinked();
+
+        // Honour DataNFT's emergency pause and takedown freezes before taking payment
+        if (IDataNFT(associatedNFTContract).paused()) revert AccessPaused();
+        uint256 reasonCode = IDataNFT(associatedNFTContract).frozenReasons(nftId);
+        if (reasonCode != 0) revert DatasetIsFrozen(reasonCode);
         
         // Get the NFT owner
         address nftOwner;
@@ -156,25 +442,69 @@ contract DataToken is ERC20, Ownable, ReentrancyGuard {
         } catch {
             revert NFTNotLinked();
         }
+
+        // Record the receipt first, then grant access in DataNFT, where the NFT owner can
+        // revoke it and audits list it like any other grant
+        uint256 expiresAt = tier.duration == 0 ? type(uint256).max : block.timestamp + tier.duration;
+        uint256 receiptId = _receipts.length;
+        _receipts.push(ConsumptionReceipt(msg.sender, nftId, tierId, amount, expiresAt, block.timestamp));
+        _receiptsByBuyer[msg.sender].push(receiptId);
+        emit ConsumptionReceiptIssued(receiptId, nftId, msg.sender, tierId, amount, expiresAt);
+        IDataNFT(associatedNFTContract).grantTierAccess(nftId, msg.sender, tier.duration == 0 ? 0 : expiresAt);
         
-        // Transfer tokens before external call to prevent reentrancy
-        _transfer(msg.sender, nftOwner, amount);
-        
-        // Call DataNFT.accessData to get IPFS CID and decryption key
-        string memory datasetCID;
-        bytes32 decryptionKey;
-        
-        try IDataNFT(associatedNFTContract).accessData(nftId, 0) returns (string memory cid, bytes32 key) {
-            datasetCID = cid;
-            decryptionKey = key;
-        } catch {
-            revert NFTNotLinked();
+        // Burn or transfer tokens before external calls to prevent reentrancy, through the
+        // dataset's payout split if it has one
+        if (tier.burnOnRedeem) {
+            _burn(msg.sender, amount);
+        } else {
+            // Holders' share of the access fee stays here as datatoken dividends
+            uint256 dividends = _distributeDividends(address(this), (amount * dividendShareBps) / BPS_DENOMINATOR);
+            if (dividends > 0) {
+                _transfer(msg.sender, address(this), dividends);
+                amount -= dividends;
+            }
+
+            IRevenueSplitter splitter = IDataNFT(associatedNFTContract).revenueSplitter();
+            if (address(splitter) != address(0) && splitter.hasSplit(nftId)) {
+                _transfer(msg.sender, address(this), amount);
+                _approve(address(this), address(splitter), amount);
+                splitter.deposit(nftId, address(this), amount);
+            } else {
+                _transfer(msg.sender, nftOwner, amount);
+            }
         }
         
+        // Read the IPFS CID of the latest version; the buyer can also use DataNFT.accessData
+        string memory datasetCID = IDataNFT(associatedNFTContract).datasetCIDs(nftId);
         if (bytes(datasetCID).length == 0) revert InvalidCID();
 
         emit DataAccessRedeemed(nftId, msg.sender, datasetCID);
-        return (datasetCID, decryptionKey);
+        return datasetCID;
+    }
+
+    // Previous entry point, kept with its signature for existing integrations: it redeems the
+    // active tier priced at exactly `amount`. Decryption keys now come from DatasetKeyVault, so
+    // the second return value is always zero.
+    function redeemForAccess(uint256 amount, uint256 nftId) external returns (string memory, bytes32) {
+        for (uint256 i = 0; i < _accessTiers.length; i++) {
+            if (_accessTiers[i].active && _accessTiers[i].price == amount) {
+                return (redeemAccessTier(i, nftId), bytes32(0));
+            }
+        }
+        revert InvalidTier();
+    }
+
+    function getReceipt(uint256 receiptId) external view returns (ConsumptionReceipt memory) {
+        return _receipts[receiptId];
+    }
+
+    function receiptCount() external view returns (uint256) {
+        return _receipts.length;
+    }
+
+    // Receipt IDs of a buyer, in redemption order
+    function getReceiptsByBuyer(address buyer) external view returns (uint256[] memory) {
+        return _receiptsByBuyer[buyer];
     }
 
     // Override transfer to ensure token tracking
@@ -182,7 +512,35 @@ contract DataToken is ERC20, Ownable, ReentrancyGuard {
         address from,
         address to,
         uint256 amount
-    ) internal override {
+    ) internal virtual override {
         super._beforeTokenTransfer(from, to, amount);
     }
+
+    // Keep dividends earned before a balance change with the previous holder
+    function _afterTokenTransfer(
+        address from,
+        address to,
+        uint256 amount
+    ) internal virtual override {
+        super._afterTokenTransfer(from, to, amount);
+        // Excluded balances earn nothing and are only counted in _excludedSupply
+        if (excludedFromDividends[from]) {
+            _excludedSupply -= amount;
+            from = address(0);
+        }
+        if (excludedFromDividends[to]) {
+            _excludedSupply += amount;
+            to = address(0);
+        }
+        _correctDividends(ETHER, from, to, amount);
+        _correctDividends(address(this), from, to, amount);
+    }
+
+    function _correctDividends(address currency, address from, address to, uint256 amount) internal {
+        uint256 perShare = _magnifiedDividendPerShare[currency];
+        if (perShare == 0) return;
+        int256 correction = SafeCast.toInt256(perShare * amount);
+        if (from != address(0)) _magnifiedDividendCorrections[currency][from] += correction;
+        if (to != address(0)) _magnifiedDividendCorrections[currency][to] -= correction;
+    }
 }
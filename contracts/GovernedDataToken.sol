@@ -0,0 +1,59 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
+import "./Datatoken.sol";
+
+/**
+ * @title GovernedDataToken
+ * @dev A DataToken that tracks voting power with ERC20Votes, for datasets governed by their
+ * holders through a DatasetGovernor. Ownership is meant to be handed to the governor's
+ * timelock, so tokenPrice, maxSupply and burns only change through executed proposals.
+ * Deployed on its own rather than through TokenFactory, which cannot embed it within the
+ * contract size limit; the platform links it to the DataNFT with linkDatatoken.
+ */
+contract GovernedDataToken is DataToken, ERC20Votes {
+    /**
+     * @dev Constructor takes the same parameters as DataToken
+     * @param name The token name
+     * @param symbol The token symbol
+     * @param _initialSupply Supply minted to the deployer
+     * @param _tokenPrice Price of 1 token in wei
+     * @param decimalsValue The token decimals
+     */
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint256 _initialSupply,
+        uint256 _tokenPrice,
+        uint8 decimalsValue
+    ) DataToken(name, symbol, _initialSupply, _tokenPrice, decimalsValue) {}
+
+    function decimals() public view override(ERC20, DataToken) returns (uint8) {
+        return super.decimals();
+    }
+
+    function _beforeTokenTransfer(
+        address from,
+        address to,
+        uint256 amount
+    ) internal override(ERC20, DataToken) {
+        super._beforeTokenTransfer(from, to, amount);
+    }
+
+    function _afterTokenTransfer(
+        address from,
+        address to,
+        uint256 amount
+    ) internal override(DataToken, ERC20Votes) {
+        super._afterTokenTransfer(from, to, amount);
+    }
+
+    function _mint(address to, uint256 amount) internal override(ERC20, ERC20Votes) {
+        super._mint(to, amount);
+    }
+
+    function _burn(address account, uint256 amount) internal override(ERC20, ERC20Votes) {
+        super._burn(account, amount);
+    }
+}
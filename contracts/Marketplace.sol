@@ -2,18 +2,45 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/draft-IERC20Permit.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/draft-EIP712.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
 import "./DataNFT.sol";
 
-contract Marketplace is ReentrancyGuard {
+contract Marketplace is ReentrancyGuard, AccessControl, EIP712, Pausable {
+    using EnumerableSet for EnumerableSet.UintSet;
+
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+    bytes32 public constant AUCTION_ROLE = keccak256("AUCTION_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    address public constant NATIVE_CURRENCY = address(0); // Listings priced in ETH
+    uint256 public constant MAX_FEE_BPS = 1000; // Platform fee can never exceed 10%
+    uint256 private constant BPS_DENOMINATOR = 10000;
+    bytes32 public constant SELL_ORDER_TYPEHASH = keccak256(
+        "SellOrder(uint256 tokenId,uint256 price,address currency,uint256 expiry,uint256 nonce,address seller)"
+    );
+
     IERC20 public oceanToken;
     IDataNFT public dataNFT;
 
+    // Platform fee in basis points of each sale, accrued per payment token
+    uint256 public feeBps;
+    address public treasury;
+    mapping(address => uint256) public accruedFees;
+    // Currencies listings may be priced in, besides each dataset's own DataToken
+    mapping(address => bool) public allowedCurrencies;
+
     struct Dataset {
         uint256 id;
         address owner;
         uint256 price;
         bool isForSale;
+        address currency; // NATIVE_CURRENCY for ETH
+        uint256 expiresAt; // 0 for listings that never expire
     }
 
     // Custom errors
@@ -25,20 +52,166 @@ contract Marketplace is ReentrancyGuard {
     error PaymentFailed();
     error TransferFailed();
     error InvalidDatasetCID();
+    error FeeTooHigh();
+    error InvalidTreasury();
+    error NotTreasury();
+    error NoFeesToWithdraw();
+    error InvalidOffer();
+    error InvalidExpiry();
+    error OfferNotActive();
+    error OfferExpired();
+    error OfferStillActive();
+    error NotBidder();
+    error InvalidSignature();
+    error OrderExpired();
+    error OrderInvalidated();
+    error UnsupportedCurrency();
+    error InvalidNonce();
+    error IncorrectEtherValue();
+    error RefundFailed();
+    error ListingExpired();
+    error ListingNotStale();
+    error ListingNotExpired();
+    error DataNFTPaused();
+    error ListingUnavailable(uint256 id);
+    error DatasetIsFrozen(uint256 reasonCode);
+
+    enum OfferStatus { Active, Accepted, Rejected, Withdrawn }
+
+    // Escrowed bid on a DataNFT, paid in oceanToken
+    struct Offer {
+        address bidder;
+        uint256 amount;
+        uint256 expiresAt;
+        OfferStatus status;
+    }
+
+    // Off-chain EIP-712 listing, signed by the seller and settled by fulfillOrder
+    struct SellOrder {
+        uint256 tokenId;
+        uint256 price;
+        address currency;
+        uint256 expiry;
+        uint256 nonce;
+        address seller;
+    }
 
     mapping(uint256 => Dataset) public datasets;
+    // NFT IDs of every listing currently marked for sale
+    EnumerableSet.UintSet private activeListings;
+    // Offer book per NFT ID, indexed by offer ID
+    mapping(uint256 => Offer[]) private offers;
+    // Orders with a nonce below a seller's minimum are invalid
+    mapping(address => uint256) public minOrderNonce;
+    // Signed orders that were cancelled or already filled
+    mapping(bytes32 => bool) public orderCancelledOrFilled;
 
-    event DatasetListed(uint256 indexed id, uint256 price, string datasetCID);
-    event DatasetSold(uint256 indexed id, address buyer, uint256 price, string datasetCID, bytes32 decryptionKey);
+    event DatasetListed(uint256 indexed id, uint256 price, string datasetCID, address currency, uint256 expiresAt);
+    event ListingCancelled(uint256 indexed id, address seller);
+    event ListingPriceUpdated(uint256 indexed id, uint256 oldPrice, uint256 newPrice);
+    event ListingInvalidated(uint256 indexed id, address staleOwner);
+    event BatchItemSkipped(uint256 indexed id, address buyer);
+    event DatasetSold(uint256 indexed id, address buyer, uint256 price, string datasetCID);
     event MarketplaceFeeCollected(uint256 indexed id, uint256 fee);
+    event RoyaltyPaid(uint256 indexed id, address receiver, uint256 amount);
+    event UpstreamRoyaltyPaid(uint256 indexed id, address receiver, uint256 amount);
+    event FeeUpdated(uint256 feeBps);
+    event TreasuryUpdated(address treasury);
+    event FeesWithdrawn(address indexed token, address treasury, uint256 amount);
+    event OfferMade(uint256 indexed id, uint256 indexed offerId, address bidder, uint256 amount, uint256 expiresAt);
+    event OfferAccepted(uint256 indexed id, uint256 indexed offerId, address seller, address bidder, uint256 amount);
+    event OfferRejected(uint256 indexed id, uint256 indexed offerId);
+    event OfferWithdrawn(uint256 indexed id, uint256 indexed offerId, address bidder, uint256 amount);
+    event SaleSettled(uint256 indexed id, address seller, address buyer, uint256 price);
+    event OrderFulfilled(bytes32 indexed orderHash, uint256 indexed id, address seller, address buyer, uint256 price);
+    event OrderCancelled(bytes32 indexed orderHash, address indexed seller);
+    event MinOrderNonceUpdated(address indexed seller, uint256 minNonce);
+    event CurrencyAllowlistUpdated(address indexed currency, bool allowed);
 
-    constructor(address _oceanToken, address _dataNFT) {
+    constructor(address _oceanToken, address _dataNFT) EIP712("DataX Marketplace", "1") {
         oceanToken = IERC20(_oceanToken);
         dataNFT = IDataNFT(_dataNFT);
+        treasury = msg.sender;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(FEE_MANAGER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+
+        allowedCurrencies[_oceanToken] = true;
+        allowedCurrencies[NATIVE_CURRENCY] = true;
+    }
+
+    // Halt listing, buying and offers; cancellations and offer withdrawals stay open
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+
+    // Trading also halts while DataNFT is paused, so either pause stops every sale. Pausing
+    // itself is left to Pausable, so the marketplace can be paused after DataNFT.
+    modifier whenTradingOpen() {
+        _requireNotPaused();
+        if (dataNFT.paused()) revert DataNFTPaused();
+        _;
+    }
+
+    // Allow or disallow a payment currency (NATIVE_CURRENCY for ETH)
+    function setCurrencyAllowed(address currency, bool allowed) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        allowedCurrencies[currency] = allowed;
+        emit CurrencyAllowlistUpdated(currency, allowed);
+    }
+
+    // Set the platform fee taken from every sale
+    function setFeeBps(uint256 _feeBps) external onlyRole(FEE_MANAGER_ROLE) {
+        if (_feeBps > MAX_FEE_BPS) revert FeeTooHigh();
+        feeBps = _feeBps;
+        emit FeeUpdated(_feeBps);
+    }
+
+    // Set the address allowed to withdraw accrued fees
+    function setTreasury(address _treasury) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_treasury == address(0)) revert InvalidTreasury();
+        treasury = _treasury;
+        emit TreasuryUpdated(_treasury);
     }
 
-    // List a dataset for sale
+    // Withdraw the fees accrued in a payment token to the treasury
+    function withdrawFees(address token) external nonReentrant {
+        if (msg.sender != treasury) revert NotTreasury();
+        uint256 amount = accruedFees[token];
+        if (amount == 0) revert NoFeesToWithdraw();
+
+        accruedFees[token] = 0;
+        _pay(token, address(this), treasury, amount);
+        emit FeesWithdrawn(token, treasury, amount);
+    }
+
+    // List a dataset for sale in oceanToken, without expiry
     function listDataset(uint256 _id, uint256 _price) public {
+        listDataset(_id, _price, address(oceanToken), 0);
+    }
+
+    // List a dataset using an EIP-4494 signed NFT approval instead of a separate approve transaction
+    function listDatasetWithPermit(
+        uint256 _id,
+        uint256 _price,
+        address _currency,
+        uint256 _expiresAt,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        dataNFT.permit(address(this), _id, deadline, signature);
+        listDataset(_id, _price, _currency, _expiresAt);
+    }
+
+    // List a dataset for sale in an accepted currency until _expiresAt (0 for no expiry)
+    function listDataset(uint256 _id, uint256 _price, address _currency, uint256 _expiresAt) public whenTradingOpen {
+        _requireNotFrozen(_id);
+        if (!isAcceptedCurrency(_id, _currency)) revert UnsupportedCurrency();
+        if (_expiresAt != 0 && _expiresAt <= block.timestamp) revert InvalidExpiry();
         if (dataNFT.ownerOf(_id) != msg.sender) revert NotOwner();
         if (dataNFT.getDatatoken(_id) == address(0)) revert NoDataTokenLinked();
         
@@ -51,26 +224,153 @@ contract Marketplace is ReentrancyGuard {
             revert NotApproved();
         }
 
-        datasets[_id] = Dataset(_id, msg.sender, _price, true);
-        emit DatasetListed(_id, _price, datasetCID);
+        datasets[_id] = Dataset(_id, msg.sender, _price, true, _currency, _expiresAt);
+        activeListings.add(_id);
+        emit DatasetListed(_id, _price, datasetCID, _currency, _expiresAt);
+    }
+
+    // Withdraw an active listing
+    function cancelListing(uint256 _id) external {
+        Dataset storage dataset = datasets[_id];
+        if (!dataset.isForSale) revert NotForSale();
+        if (dataset.owner != msg.sender) revert NotOwner();
+
+        _delist(_id);
+        emit ListingCancelled(_id, msg.sender);
     }
 
-    // Buy a dataset NFT
-    function buyDataset(uint256 _id) public nonReentrant returns (string memory, bytes32) {
+    // Reprice an active listing
+    function updatePrice(uint256 _id, uint256 _newPrice) external {
+        Dataset storage dataset = datasets[_id];
+        if (!dataset.isForSale) revert NotForSale();
+        if (dataset.owner != msg.sender) revert NotOwner();
+
+        uint256 oldPrice = dataset.price;
+        dataset.price = _newPrice;
+        emit ListingPriceUpdated(_id, oldPrice, _newPrice);
+    }
+
+    // Delist a listing whose seller no longer owns the NFT or has revoked approval
+    function invalidateStaleListing(uint256 _id) external {
+        if (!datasets[_id].isForSale) revert NotForSale();
+        if (!isListingStale(_id)) revert ListingNotStale();
+        _invalidateListing(_id);
+    }
+
+    // Delist an expired listing so it leaves the active listing set; anyone may call this
+    function removeExpiredListing(uint256 _id) external {
         Dataset memory dataset = datasets[_id];
         if (!dataset.isForSale) revert NotForSale();
-        
+        if (dataset.expiresAt == 0 || dataset.expiresAt > block.timestamp) revert ListingNotExpired();
+        _invalidateListing(_id);
+    }
+
+    // Check whether an active listing can no longer be settled by its seller
+    function isListingStale(uint256 _id) public view returns (bool) {
+        address seller = datasets[_id].owner;
+        try dataNFT.ownerOf(_id) returns (address currentOwner) {
+            return currentOwner != seller || !checkApprovals(_id, seller);
+        } catch {
+            return true; // Burned
+        }
+    }
+
+    function _invalidateListing(uint256 _id) internal {
+        _delist(_id);
+        emit ListingInvalidated(_id, datasets[_id].owner);
+    }
+
+    function _delist(uint256 _id) internal {
+        datasets[_id].isForSale = false;
+        activeListings.remove(_id);
+    }
+
+    // Buy a dataset NFT in its listing currency, refunding any excess ETH
+    function buyDataset(uint256 _id) public payable nonReentrant whenTradingOpen returns (string memory) {
+        return _buyDataset(_id);
+    }
+
+    // Buy a dataset NFT priced in an ERC-2612 token, approving the payment with a permit
+    function buyDatasetWithPermit(
+        uint256 _id,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenTradingOpen returns (string memory) {
+        Dataset memory dataset = datasets[_id];
+        if (dataset.currency == NATIVE_CURRENCY) revert UnsupportedCurrency();
+
+        // A front-run permit has already set the allowance, so only its absence is fatal
+        try IERC20Permit(dataset.currency).permit(msg.sender, address(this), dataset.price, deadline, v, r, s) {
+            // Allowance granted
+        } catch {
+            if (IERC20(dataset.currency).allowance(msg.sender, address(this)) < dataset.price) revert NotApproved();
+        }
+
+        return _buyDataset(_id);
+    }
+
+    function _buyDataset(uint256 _id) internal returns (string memory) {
+        Dataset memory dataset = datasets[_id];
+        if (!dataset.isForSale) revert NotForSale();
+        if (dataset.expiresAt != 0 && dataset.expiresAt <= block.timestamp) revert ListingExpired();
+
+        // A listing left behind by an NFT transfer is delisted instead of sold
+        if (isListingStale(_id)) {
+            _invalidateListing(_id);
+            _refundEther(msg.value);
+            return "";
+        }
+
+        (string memory datasetCID, uint256 etherSpent) = _purchase(_id, msg.value);
+        _refundEther(msg.value - etherSpent);
+        return datasetCID;
+    }
+
+    // Buy several listings in one transaction. With allOrNothing any unavailable listing
+    // reverts the batch; otherwise it is skipped and its share of the ETH sent is refunded.
+    function buyBatch(uint256[] calldata _ids, bool allOrNothing)
+        external
+        payable
+        nonReentrant
+        whenTradingOpen
+        returns (string[] memory datasetCIDs)
+    {
+        datasetCIDs = new string[](_ids.length);
+        uint256 etherLeft = msg.value;
+
+        for (uint256 i = 0; i < _ids.length; i++) {
+            if (!_isPurchasable(_ids[i], etherLeft)) {
+                if (allOrNothing) revert ListingUnavailable(_ids[i]);
+                emit BatchItemSkipped(_ids[i], msg.sender);
+                continue;
+            }
+
+            uint256 etherSpent;
+            (datasetCIDs[i], etherSpent) = _purchase(_ids[i], etherLeft);
+            etherLeft -= etherSpent;
+        }
+
+        _refundEther(etherLeft);
+    }
+
+    // Sell a live listing to msg.sender, returning the ETH it consumed
+    function _purchase(uint256 _id, uint256 etherAvailable)
+        internal
+        returns (string memory datasetCID, uint256 etherSpent)
+    {
+        Dataset memory dataset = datasets[_id];
+
         // Save the owner before we update the listing
         address seller = dataset.owner;
         uint256 price = dataset.price;
         
         // Update listing state first to prevent reentrancy
-        datasets[_id].isForSale = false;
+        _delist(_id);
         datasets[_id].owner = msg.sender;
 
-        // Try to execute the payment
-        bool paymentSuccess = oceanToken.transferFrom(msg.sender, seller, price);
-        if (!paymentSuccess) revert PaymentFailed();
+        etherSpent = _collectPayment(_id, seller, price, dataset.currency, etherAvailable);
 
         // Transfer NFT after successful payment
         try dataNFT.transferFrom(seller, msg.sender, _id) {
@@ -79,28 +379,351 @@ contract Marketplace is ReentrancyGuard {
             revert TransferFailed();
         }
 
-        // Retrieve dataset CID and decryption key
-        string memory datasetCID;
-        bytes32 decryptionKey;
+        // Retrieve the dataset CID; keys of private datasets arrive through DatasetKeyVault
+        datasetCID = dataNFT.datasetCIDs(_id);
         
-        try dataNFT.accessData(_id, 0) returns (string memory cid, bytes32 key) {
-            datasetCID = cid;
-            decryptionKey = key;
+        if (bytes(datasetCID).length == 0) revert InvalidDatasetCID();
+
+        emit DatasetSold(_id, msg.sender, price, datasetCID);
+    }
+
+    // Check whether msg.sender could buy a listing right now with the ETH left
+    function _isPurchasable(uint256 _id, uint256 etherAvailable) internal view returns (bool) {
+        Dataset memory dataset = datasets[_id];
+        if (!dataset.isForSale) return false;
+        if (dataNFT.frozenReasons(_id) != 0) return false;
+        if (dataset.expiresAt != 0 && dataset.expiresAt <= block.timestamp) return false;
+        if (isListingStale(_id)) return false;
+
+        if (dataset.currency == NATIVE_CURRENCY) return etherAvailable >= dataset.price;
+        IERC20 currency = IERC20(dataset.currency);
+        return currency.balanceOf(msg.sender) >= dataset.price &&
+            currency.allowance(msg.sender, address(this)) >= dataset.price;
+    }
+
+    // Settle a sale priced elsewhere (e.g. by DatasetAuction), paying from the caller's escrow
+    function settleSale(uint256 _id, address seller, address buyer, uint256 price)
+        external
+        nonReentrant
+        whenTradingOpen
+        onlyRole(AUCTION_ROLE)
+    {
+        if (dataNFT.ownerOf(_id) != seller) revert NotOwner();
+
+        // Any fixed-price listing is superseded by the sale
+        if (datasets[_id].isForSale) {
+            _delist(_id);
+            datasets[_id].owner = buyer;
+        }
+
+        _settlePayment(_id, msg.sender, seller, price, address(oceanToken));
+
+        try dataNFT.transferFrom(seller, buyer, _id) {
+            // Success path
         } catch {
-            // If accessData fails, try to get the CID directly
-            datasetCID = dataNFT.datasetCIDs(_id);
-            decryptionKey = 0;
+            revert TransferFailed();
         }
-        
-        if (bytes(datasetCID).length == 0) revert InvalidDatasetCID();
 
-        emit DatasetSold(_id, msg.sender, price, datasetCID, decryptionKey);
-        return (datasetCID, decryptionKey);
+        emit SaleSettled(_id, seller, buyer, price);
+    }
+
+    // Buy a dataset from an off-chain EIP-712 sell order signed by its seller
+    function fulfillOrder(SellOrder calldata order, bytes calldata signature)
+        external
+        payable
+        nonReentrant
+        whenTradingOpen
+        returns (string memory)
+    {
+        bytes32 orderHash = hashOrder(order);
+        if (order.expiry <= block.timestamp) revert OrderExpired();
+        if (order.nonce < minOrderNonce[order.seller] || orderCancelledOrFilled[orderHash]) revert OrderInvalidated();
+        if (!isAcceptedCurrency(order.tokenId, order.currency)) revert UnsupportedCurrency();
+        if (ECDSA.recover(orderHash, signature) != order.seller) revert InvalidSignature();
+        if (dataNFT.ownerOf(order.tokenId) != order.seller) revert NotOwner();
+
+        orderCancelledOrFilled[orderHash] = true;
+
+        // Any fixed-price listing is superseded by the sale
+        if (datasets[order.tokenId].isForSale) {
+            _delist(order.tokenId);
+            datasets[order.tokenId].owner = msg.sender;
+        }
+
+        uint256 etherSpent = _collectPayment(order.tokenId, order.seller, order.price, order.currency, msg.value);
+        _refundEther(msg.value - etherSpent);
+
+        try dataNFT.transferFrom(order.seller, msg.sender, order.tokenId) {
+            // Success path
+        } catch {
+            revert TransferFailed();
+        }
+
+        emit OrderFulfilled(orderHash, order.tokenId, order.seller, msg.sender, order.price);
+        return dataNFT.datasetCIDs(order.tokenId);
+    }
+
+    // Cancel a single signed order
+    function cancelOrder(SellOrder calldata order) external {
+        if (order.seller != msg.sender) revert NotOwner();
+
+        bytes32 orderHash = hashOrder(order);
+        orderCancelledOrFilled[orderHash] = true;
+        emit OrderCancelled(orderHash, msg.sender);
+    }
+
+    // Invalidate every signed order of the caller with a nonce below minNonce
+    function invalidateOrderNonces(uint256 minNonce) external {
+        if (minNonce <= minOrderNonce[msg.sender]) revert InvalidNonce();
+        minOrderNonce[msg.sender] = minNonce;
+        emit MinOrderNonceUpdated(msg.sender, minNonce);
+    }
+
+    // EIP-712 digest a seller signs for an order
+    function hashOrder(SellOrder calldata order) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            SELL_ORDER_TYPEHASH,
+            order.tokenId,
+            order.price,
+            order.currency,
+            order.expiry,
+            order.nonce,
+            order.seller
+        )));
+    }
+
+    // Make an expiring offer on any DataNFT, escrowing the amount in the marketplace
+    function makeOffer(uint256 _id, uint256 _amount, uint256 _expiresAt)
+        external
+        nonReentrant
+        whenTradingOpen
+        returns (uint256)
+    {
+        if (_amount == 0) revert InvalidOffer();
+        if (_expiresAt <= block.timestamp) revert InvalidExpiry();
+        dataNFT.ownerOf(_id); // Reverts for non-existent NFTs
+        _requireNotFrozen(_id);
+
+        uint256 offerId = offers[_id].length;
+        offers[_id].push(Offer(msg.sender, _amount, _expiresAt, OfferStatus.Active));
+
+        if (!oceanToken.transferFrom(msg.sender, address(this), _amount)) revert PaymentFailed();
+        emit OfferMade(_id, offerId, msg.sender, _amount, _expiresAt);
+        return offerId;
+    }
+
+    // Accept an offer, transferring the NFT and releasing the escrowed funds
+    function acceptOffer(uint256 _id, uint256 _offerId) external nonReentrant whenTradingOpen {
+        if (dataNFT.ownerOf(_id) != msg.sender) revert NotOwner();
+        if (_offerId >= offers[_id].length) revert InvalidOffer();
+
+        Offer storage offer = offers[_id][_offerId];
+        if (offer.status != OfferStatus.Active) revert OfferNotActive();
+        if (offer.expiresAt <= block.timestamp) revert OfferExpired();
+
+        offer.status = OfferStatus.Accepted;
+        address bidder = offer.bidder;
+        uint256 amount = offer.amount;
+
+        // Any fixed-price listing is superseded by the accepted offer
+        if (datasets[_id].isForSale) {
+            _delist(_id);
+            datasets[_id].owner = bidder;
+        }
+
+        _settlePayment(_id, address(this), msg.sender, amount, address(oceanToken));
+
+        try dataNFT.transferFrom(msg.sender, bidder, _id) {
+            // Success path
+        } catch {
+            revert TransferFailed();
+        }
+
+        emit OfferAccepted(_id, _offerId, msg.sender, bidder, amount);
+    }
+
+    // Reject an offer so the bidder can withdraw it before expiry
+    function rejectOffer(uint256 _id, uint256 _offerId) external {
+        if (dataNFT.ownerOf(_id) != msg.sender) revert NotOwner();
+        if (_offerId >= offers[_id].length) revert InvalidOffer();
+
+        Offer storage offer = offers[_id][_offerId];
+        if (offer.status != OfferStatus.Active) revert OfferNotActive();
+
+        offer.status = OfferStatus.Rejected;
+        emit OfferRejected(_id, _offerId);
+    }
+
+    // Withdraw the escrow of an expired or rejected offer
+    function withdrawOffer(uint256 _id, uint256 _offerId) external nonReentrant {
+        if (_offerId >= offers[_id].length) revert InvalidOffer();
+
+        Offer storage offer = offers[_id][_offerId];
+        if (offer.bidder != msg.sender) revert NotBidder();
+        if (offer.status == OfferStatus.Active) {
+            if (offer.expiresAt > block.timestamp) revert OfferStillActive();
+        } else if (offer.status != OfferStatus.Rejected) {
+            revert OfferNotActive();
+        }
+
+        offer.status = OfferStatus.Withdrawn;
+        uint256 amount = offer.amount;
+
+        _pay(address(oceanToken), address(this), msg.sender, amount);
+        emit OfferWithdrawn(_id, _offerId, msg.sender, amount);
+    }
+
+    // Get every offer ever made on an NFT
+    function getOffers(uint256 _id) external view returns (Offer[] memory) {
+        return offers[_id];
+    }
+
+    // Get the highest active, unexpired offer on an NFT
+    function getBestOffer(uint256 _id) external view returns (bool found, uint256 offerId, Offer memory best) {
+        Offer[] storage book = offers[_id];
+        for (uint256 i = 0; i < book.length; i++) {
+            Offer storage offer = book[i];
+            if (offer.status != OfferStatus.Active || offer.expiresAt <= block.timestamp) continue;
+            if (!found || offer.amount > best.amount) {
+                found = true;
+                offerId = i;
+                best = offer;
+            }
+        }
+    }
+
+    // Check whether a dataset may be priced in a currency
+    function isAcceptedCurrency(uint256 _id, address currency) public view returns (bool) {
+        return allowedCurrencies[currency] ||
+            (currency != NATIVE_CURRENCY && currency == dataNFT.getDatatoken(_id));
+    }
+
+    // Take payment from the buyer: ETH out of the value sent with the call,
+    // ERC-20 currencies straight from the buyer's allowance. Returns the ETH used.
+    function _collectPayment(
+        uint256 _id,
+        address seller,
+        uint256 price,
+        address currency,
+        uint256 etherAvailable
+    ) internal returns (uint256) {
+        if (currency == NATIVE_CURRENCY) {
+            if (etherAvailable < price) revert IncorrectEtherValue();
+            _settlePayment(_id, address(this), seller, price, currency);
+            return price;
+        }
+
+        _settlePayment(_id, msg.sender, seller, price, currency);
+        return 0;
+    }
+
+    // Return ETH the caller sent but did not spend
+    function _refundEther(uint256 amount) internal {
+        if (amount == 0) return;
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        if (!success) revert RefundFailed();
+    }
+
+    // Split a payment between the platform fee, the ERC-2981 royalty receiver, the parent
+    // owners of a derivative dataset and the seller.
+    // Payments from escrow (and all ETH payments) use address(this) as the payer.
+    // Every sale path settles here, so a frozen dataset cannot change hands through the marketplace.
+    function _settlePayment(uint256 _id, address payer, address seller, uint256 price, address currency) internal {
+        _requireNotFrozen(_id);
+        uint256 fee = (price * feeBps) / BPS_DENOMINATOR;
+        if (fee > 0) {
+            accruedFees[currency] += fee;
+            if (payer != address(this)) _pay(currency, payer, address(this), fee);
+            emit MarketplaceFeeCollected(_id, fee);
+        }
+
+        (address royaltyReceiver, uint256 royaltyAmount) = dataNFT.royaltyInfo(_id, price);
+        if (royaltyAmount > 0 && royaltyReceiver != seller) {
+            if (royaltyAmount > price - fee) royaltyAmount = price - fee;
+            _pay(currency, payer, royaltyReceiver, royaltyAmount);
+            emit RoyaltyPaid(_id, royaltyReceiver, royaltyAmount);
+        } else {
+            royaltyAmount = 0;
+        }
+
+        uint256 upstreamAmount = _payUpstream(_id, payer, price, price - fee - royaltyAmount, currency);
+        _paySeller(_id, payer, seller, price - fee - royaltyAmount - upstreamAmount, currency);
+    }
+
+    // Pay the parent owners of a derivative dataset their share of the sale, out of at most `available`
+    function _payUpstream(uint256 _id, address payer, uint256 price, uint256 available, address currency)
+        internal
+        returns (uint256 paid)
+    {
+        IDatasetLineage lineage = dataNFT.lineage();
+        if (address(lineage) == address(0)) return 0;
+
+        (address[] memory receivers, uint256[] memory amounts) = lineage.upstreamPayments(_id, price);
+        for (uint256 i = 0; i < receivers.length; i++) {
+            if (amounts[i] == 0 || paid + amounts[i] > available) continue;
+            _pay(currency, payer, receivers[i], amounts[i]);
+            paid += amounts[i];
+            emit UpstreamRoyaltyPaid(_id, receivers[i], amounts[i]);
+        }
+    }
+
+    // Pay the seller's proceeds, through the dataset's payout split if it has one
+    function _paySeller(uint256 _id, address payer, address seller, uint256 amount, address currency) internal {
+        IRevenueSplitter splitter = dataNFT.revenueSplitter();
+        if (address(splitter) == address(0) || !splitter.hasSplit(_id)) {
+            _pay(currency, payer, seller, amount);
+            return;
+        }
+
+        if (currency == NATIVE_CURRENCY) {
+            splitter.deposit{value: amount}(_id, currency, amount);
+            return;
+        }
+        if (payer != address(this)) _pay(currency, payer, address(this), amount);
+        if (!IERC20(currency).approve(address(splitter), amount)) revert PaymentFailed();
+        splitter.deposit(_id, currency, amount);
+    }
+
+    // Revert for datasets frozen under a takedown in DataNFT
+    function _requireNotFrozen(uint256 _id) internal view {
+        uint256 reasonCode = dataNFT.frozenReasons(_id);
+        if (reasonCode != 0) revert DatasetIsFrozen(reasonCode);
+    }
+
+    // Move a currency either out of this contract or from an approving payer
+    function _pay(address currency, address from, address to, uint256 amount) internal {
+        bool success;
+        if (currency == NATIVE_CURRENCY) {
+            (success, ) = payable(to).call{value: amount}("");
+        } else if (from == address(this)) {
+            success = IERC20(currency).transfer(to, amount);
+        } else {
+            success = IERC20(currency).transferFrom(from, to, amount);
+        }
+        if (!success) revert PaymentFailed();
+    }
+
+    // Number of listings currently marked for sale
+    function activeListingCount() external view returns (uint256) {
+        return activeListings.length();
+    }
+
+    // Page through the NFT IDs of listings currently marked for sale
+    function getActiveListingIds(uint256 offset, uint256 limit) external view returns (uint256[] memory ids) {
+        uint256 total = activeListings.length();
+        if (offset >= total) return new uint256[](0);
+        if (limit > total - offset) limit = total - offset;
+
+        ids = new uint256[](limit);
+        for (uint256 i = 0; i < limit; i++) {
+            ids[i] = activeListings.at(offset + i);
+        }
     }
 
-    // Get dataset info
+    // Get dataset info; the CID is empty while the dataset is frozen
     function getDataset(uint256 _id) public view returns (Dataset memory, string memory) {
         Dataset memory dataset = datasets[_id];
+        if (dataNFT.frozenReasons(_id) != 0) return (dataset, "");
         string memory datasetCID = dataNFT.datasetCIDs(_id);
         return (dataset, datasetCID);
     }
@@ -0,0 +1,125 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./Marketplace.sol";
+
+/**
+ * @title MarketplaceLens
+ * @dev Read-only catalogue views over the Marketplace's active listings.
+ * Kept out of the Marketplace itself so the views do not count towards its
+ * contract size limit; it holds no state beyond the Marketplace address.
+ */
+contract MarketplaceLens {
+    // Upper bound on listing IDs examined per call, keeping each page's gas bounded
+    uint256 public constant MAX_SCAN = 200;
+
+    Marketplace public immutable marketplace;
+    IDataNFT public immutable dataNFT;
+
+    // A listing together with the data a catalogue page shows for it
+    struct ListingView {
+        Marketplace.Dataset listing;
+        string datasetCID;
+        address datatoken;
+    }
+
+    // Zero values mean "no constraint", except currency which uses anyCurrency
+    // because address(0) is the marketplace's native ETH currency
+    struct ListingFilter {
+        address seller;
+        bool anyCurrency;
+        address currency;
+        uint256 minPrice;
+        uint256 maxPrice;
+    }
+
+    error InvalidLimit();
+
+    /**
+     * @dev Constructor links the lens to its Marketplace
+     * @param _marketplace The Marketplace to read listings from
+     */
+    constructor(address _marketplace) {
+        marketplace = Marketplace(_marketplace);
+        dataNFT = marketplace.dataNFT();
+    }
+
+    /**
+     * @dev Pages through purchasable listings matching a filter. Expired, stale and frozen
+     * listings are skipped. IDs are loaded in chunks until the page is full or MAX_SCAN IDs
+     * were examined, so a page may hold fewer than limit listings before the end. Pass the
+     * returned nextOffset as the next call's offset; scanning is finished once it equals
+     * activeListingCount().
+     * @param filter The seller, currency and price constraints
+     * @param offset The position in the active listing set to start scanning from
+     * @param limit The maximum number of listings to return, at most MAX_SCAN
+     * @return page The matching listings
+     * @return nextOffset The position to resume scanning from
+     */
+    function getActiveListings(
+        ListingFilter calldata filter,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (ListingView[] memory page, uint256 nextOffset) {
+        if (limit == 0) revert InvalidLimit();
+        if (limit > MAX_SCAN) limit = MAX_SCAN;
+        uint256 total = marketplace.activeListingCount();
+        if (offset >= total) return (new ListingView[](0), total);
+
+        uint256 scanEnd = total - offset > MAX_SCAN ? offset + MAX_SCAN : total;
+        page = new ListingView[](limit);
+        uint256 found;
+        nextOffset = offset;
+
+        while (found < limit && nextOffset < scanEnd) {
+            uint256 chunk = limit - found;
+            if (chunk > scanEnd - nextOffset) chunk = scanEnd - nextOffset;
+            uint256[] memory ids = marketplace.getActiveListingIds(nextOffset, chunk);
+            nextOffset += ids.length;
+
+            for (uint256 i = 0; i < ids.length; i++) {
+                (bool ok, ListingView memory item) = _tryGetListing(ids[i]);
+                if (ok && _matches(item.listing, filter)) {
+                    page[found++] = item;
+                }
+            }
+        }
+
+        // Trim the result to the number of matches
+        assembly {
+            mstore(page, found)
+        }
+    }
+
+    /**
+     * @dev Gets a single listing with its CID and datatoken. A frozen dataset is reported
+     * as not for sale and without its CID.
+     * @param id The NFT ID
+     * @return The listing view
+     */
+    function getListing(uint256 id) external view returns (ListingView memory) {
+        (Marketplace.Dataset memory listing, string memory datasetCID) = marketplace.getDataset(id);
+        if (dataNFT.frozenReasons(id) != 0) listing.isForSale = false;
+        return ListingView(listing, datasetCID, dataNFT.getDatatoken(id));
+    }
+
+    /**
+     * @dev Loads a listing if it can still be bought, i.e. it is neither expired, stale nor frozen
+     */
+    function _tryGetListing(uint256 id) internal view returns (bool, ListingView memory item) {
+        (item.listing, item.datasetCID) = marketplace.getDataset(id);
+        if (item.listing.expiresAt != 0 && item.listing.expiresAt <= block.timestamp) return (false, item);
+
+        if (marketplace.isListingStale(id) || dataNFT.frozenReasons(id) != 0) return (false, item);
+        item.datatoken = dataNFT.getDatatoken(id);
+        return (true, item);
+    }
+
+    function _matches(Marketplace.Dataset memory listing, ListingFilter calldata filter) internal pure returns (bool) {
+        if (filter.seller != address(0) && listing.owner != filter.seller) return false;
+        if (!filter.anyCurrency && listing.currency != filter.currency) return false;
+        if (listing.price < filter.minPrice) return false;
+        if (filter.maxPrice != 0 && listing.price > filter.maxPrice) return false;
+        return true;
+    }
+}
@@ -0,0 +1,245 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "./DataNFT.sol";
+
+/**
+ * @title RevenueSplitter
+ * @dev Pull-based revenue splits for multi-contributor datasets. The NFT owner sets
+ * weighted recipients per dataset; DataNFT, DataToken and Marketplace deposit the
+ * owner's proceeds here instead of paying the owner, and every contributor
+ * withdraws their accrued balance per currency (address(0) for native ETH).
+ * A split only applies until the NFT changes hands, so it covers the sale that ends it
+ * but never a later owner's proceeds. A locked split cannot be changed while it applies.
+ */
+contract RevenueSplitter is IRevenueSplitter, ReentrancyGuard {
+    address public constant NATIVE_CURRENCY = address(0);
+    uint256 public constant MAX_RECIPIENTS = 20;
+    // DataNFT transfer nonce of a freshly minted token
+    uint256 private constant MINTED_NONCE = 1;
+
+    IDataNFT public immutable dataNFT;
+
+    struct Split {
+        address[] recipients;
+        uint256[] shares;
+        uint256 totalShares;
+        uint256 nftNonce; // DataNFT transfer nonce when the split was set
+        bool locked;
+    }
+
+    // Payout split per NFT ID
+    mapping(uint256 => Split) private splits;
+    // Accrued balance per recipient and currency
+    mapping(address => mapping(address => uint256)) public balances;
+
+    event SplitSet(uint256 indexed tokenId, address[] recipients, uint256[] shares, bool locked);
+    event PaymentSplit(uint256 indexed tokenId, address indexed currency, address payer, uint256 amount);
+    event Withdrawn(address indexed recipient, address indexed currency, uint256 amount);
+
+    error NotTheOwner();
+    error NotThePublisher();
+    error InvalidSplit();
+    error SplitLocked();
+    error NoSplit();
+    error IncorrectEtherValue();
+    error NothingToWithdraw();
+    error TransferFailed();
+
+    /**
+     * @dev Constructor links the splitter to the DataNFT contract
+     * @param _dataNFT The DataNFT contract whose owners configure splits
+     */
+    constructor(address _dataNFT) {
+        dataNFT = IDataNFT(_dataNFT);
+    }
+
+    /**
+     * @dev Sets the weighted payout split of a dataset. A locked split cannot change again
+     * until the NFT is transferred, after which the new owner starts without a split.
+     * @param tokenId The NFT ID
+     * @param recipients The contributors
+     * @param shares The weight of each contributor
+     * @param lock Whether to fix the split for as long as the caller owns the NFT
+     */
+    function setSplit(
+        uint256 tokenId,
+        address[] calldata recipients,
+        uint256[] calldata shares,
+        bool lock
+    ) external {
+        _requireUnlockedOwner(tokenId);
+        _setSplit(tokenId, recipients, shares, dataNFT.nonces(tokenId), lock);
+    }
+
+    /**
+     * @dev Mints a dataset through DataNFT.mintNFT, taking the same arguments, with a locked
+     * split that holds until the NFT is first transferred. Only the publisher may call it.
+     * @param recipients The contributors
+     * @param shares The weight of each contributor
+     * @return tokenId The minted NFT ID
+     */
+    function mintWithSplit(
+        string calldata metadataURI,
+        string calldata datasetCID,
+        bytes32 datasetHash,
+        bool isPrivate,
+        address publisher,
+        address royaltyReceiver,
+        uint96 royaltyBps,
+        address[] calldata recipients,
+        uint256[] calldata shares
+    ) external returns (uint256 tokenId) {
+        if (msg.sender != publisher) revert NotThePublisher();
+        tokenId = dataNFT.mintNFT(
+            metadataURI, datasetCID, datasetHash, isPrivate, publisher, royaltyReceiver, royaltyBps
+        );
+        _setSplit(tokenId, recipients, shares, MINTED_NONCE, true);
+    }
+
+    /**
+     * @dev Mints a derivative dataset through DataNFT with a locked split, as mintWithSplit
+     * @param parentIds The parent datasets
+     * @param allowsDerivatives Whether the dataset may itself be used as a parent
+     * @return tokenId The minted NFT ID
+     */
+    function mintWithSplit(
+        string calldata metadataURI,
+        string calldata datasetCID,
+        bytes32 datasetHash,
+        bool isPrivate,
+        address publisher,
+        address royaltyReceiver,
+        uint96 royaltyBps,
+        uint256[] calldata parentIds,
+        bool allowsDerivatives,
+        address[] calldata recipients,
+        uint256[] calldata shares
+    ) external returns (uint256 tokenId) {
+        if (msg.sender != publisher) revert NotThePublisher();
+        tokenId = dataNFT.mintNFT(
+            metadataURI, datasetCID, datasetHash, isPrivate, publisher, royaltyReceiver, royaltyBps,
+            parentIds, allowsDerivatives
+        );
+        _setSplit(tokenId, recipients, shares, MINTED_NONCE, true);
+    }
+
+    /**
+     * @dev Removes an unlocked split so proceeds go to the NFT owner again
+     * @param tokenId The NFT ID
+     */
+    function clearSplit(uint256 tokenId) external {
+        _requireUnlockedOwner(tokenId);
+        delete splits[tokenId];
+        emit SplitSet(tokenId, new address[](0), new uint256[](0), false);
+    }
+
+    /**
+     * @dev Reverts unless the caller owns the NFT and no locked split applies to it
+     * @param tokenId The NFT ID
+     */
+    function _requireUnlockedOwner(uint256 tokenId) internal view {
+        if (dataNFT.ownerOf(tokenId) != msg.sender) revert NotTheOwner();
+        if (splits[tokenId].locked && hasSplit(tokenId)) revert SplitLocked();
+    }
+
+    /**
+     * @dev Validates and stores a split that applies while the NFT's transfer nonce stays `nftNonce`.
+     * A split minted to a publisher that passes the NFT on within the mint lapses at once.
+     */
+    function _setSplit(
+        uint256 tokenId,
+        address[] calldata recipients,
+        uint256[] calldata shares,
+        uint256 nftNonce,
+        bool lock
+    ) internal {
+        if (recipients.length == 0 || recipients.length > MAX_RECIPIENTS || recipients.length != shares.length) {
+            revert InvalidSplit();
+        }
+
+        uint256 totalShares;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            if (recipients[i] == address(0) || shares[i] == 0) revert InvalidSplit();
+            totalShares += shares[i];
+        }
+
+        splits[tokenId] = Split(recipients, shares, totalShares, nftNonce, lock);
+        emit SplitSet(tokenId, recipients, shares, lock);
+    }
+
+    /**
+     * @dev Deposits a payment for a dataset and accrues it to the split's recipients.
+     * ERC-20 amounts are pulled from the caller's allowance; ETH must be sent as value.
+     * Rounding dust goes to the first recipient.
+     * @param tokenId The NFT ID
+     * @param currency The ERC-20 token paid, or address(0) for ETH
+     * @param amount The amount paid
+     */
+    function deposit(uint256 tokenId, address currency, uint256 amount) external payable nonReentrant {
+        if (!hasSplit(tokenId)) revert NoSplit();
+        Split storage split = splits[tokenId];
+
+        if (currency == NATIVE_CURRENCY) {
+            if (msg.value != amount) revert IncorrectEtherValue();
+        } else {
+            if (msg.value != 0) revert IncorrectEtherValue();
+            if (!IERC20(currency).transferFrom(msg.sender, address(this), amount)) revert TransferFailed();
+        }
+
+        uint256 distributed;
+        for (uint256 i = 1; i < split.recipients.length; i++) {
+            uint256 share = (amount * split.shares[i]) / split.totalShares;
+            balances[split.recipients[i]][currency] += share;
+            distributed += share;
+        }
+        balances[split.recipients[0]][currency] += amount - distributed;
+
+        emit PaymentSplit(tokenId, currency, msg.sender, amount);
+    }
+
+    /**
+     * @dev Withdraws the caller's accrued balance in a currency
+     * @param currency The ERC-20 token, or address(0) for ETH
+     */
+    function withdraw(address currency) external nonReentrant {
+        uint256 amount = balances[msg.sender][currency];
+        if (amount == 0) revert NothingToWithdraw();
+        balances[msg.sender][currency] = 0;
+
+        bool success;
+        if (currency == NATIVE_CURRENCY) {
+            (success, ) = payable(msg.sender).call{value: amount}("");
+        } else {
+            success = IERC20(currency).transfer(msg.sender, amount);
+        }
+        if (!success) revert TransferFailed();
+
+        emit Withdrawn(msg.sender, currency, amount);
+    }
+
+    /**
+     * @dev Checks whether a dataset's proceeds are currently split, i.e. it has a split
+     * and the NFT has not changed hands since the split was set
+     * @param tokenId The NFT ID
+     */
+    function hasSplit(uint256 tokenId) public view returns (bool) {
+        Split storage split = splits[tokenId];
+        return split.totalShares != 0 && dataNFT.nonces(tokenId) == split.nftNonce;
+    }
+
+    /**
+     * @dev Gets the payout split of a dataset
+     * @param tokenId The NFT ID
+     */
+    function getSplit(uint256 tokenId)
+        external
+        view
+        returns (address[] memory recipients, uint256[] memory shares, bool locked)
+    {
+        Split storage split = splits[tokenId];
+        return (split.recipients, split.shares, split.locked);
+    }
+}
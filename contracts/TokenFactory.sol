@@ -121,9 +121,62 @@ contract TokenFactory is Ownable {
             decimals
         );
         
-        // Transfer ownership to the NFT owner
-        newToken.transferOwnership(msg.sender);
+        return _linkToken(nftId, newToken, msg.sender, name, symbol, initialSupply);
+    }
+    
+    /**
+     * @dev Creates a new DataToken priced by a bonding curve for an existing DataNFT.
+     * Nothing is pre-minted: every token is bought from the curve, so its ETH reserve
+     * can always buy the whole supply back.
+     * This function can only be called by the NFT owner
+     * @param nftId The ID of the NFT to link the token to
+     * @param name The name of the token
+     * @param symbol The symbol of the token
+     * @param startPrice Price of the first token in wei (0 to use the default token price)
+     * @param decimals Optional custom decimals (0 to use default)
+     * @param mode DataToken.PricingMode.Linear or DataToken.PricingMode.Exponential
+     * @param curveParameter Linear: wei added to the price per whole token sold.
+     * Exponential: growth rate per whole token sold, in 18-decimal fixed point.
+     */
+    function createCurveToken(
+        uint256 nftId,
+        string memory name,
+        string memory symbol,
+        uint256 startPrice,
+        uint8 decimals,
+        DataToken.PricingMode mode,
+        uint256 curveParameter
+    ) external returns (address) {
+        if (tokensByNFTId[nftId] != address(0)) revert TokenAlreadyExists();
         
+        try DataNFT(dataNFTContract).ownerOf(nftId) returns (address nftOwner) {
+            if (nftOwner != msg.sender) revert NotNFTOwner();
+        } catch {
+            revert InvalidNFTContract();
+        }
+        
+        if (startPrice == 0) startPrice = defaultTokenPrice;
+        if (decimals == 0) decimals = defaultDecimals;
+        
+        DataToken newToken = new DataToken(name, symbol, 0, startPrice, decimals);
+        newToken.enableBondingCurve(mode, curveParameter);
+        
+        return _linkToken(nftId, newToken, msg.sender, name, symbol, 0);
+    }
+    
+    /**
+     * @dev Links a new token to the NFT in both directions, then hands it to the NFT owner.
+     * The token must still be owned by the factory while it is linked, since
+     * setAssociatedNFT is restricted to the token owner.
+     */
+    function _linkToken(
+        uint256 nftId,
+        DataToken newToken,
+        address tokenOwner,
+        string memory name,
+        string memory symbol,
+        uint256 initialSupply
+    ) internal returns (address) {
         // Save the token address
         address tokenAddress = address(newToken);
         tokensByNFTId[nftId] = tokenAddress;
@@ -134,13 +187,14 @@ contract TokenFactory is Ownable {
             revert FailedToCreateToken();
         }
         
-        // Try to set the associated NFT in the token contract
-        try DataToken(tokenAddress).setAssociatedNFT(dataNFTContract, nftId) {
-            // The NFT was successfully linked to the token
-        } catch {
-            // This is not critical, so we don't revert
-            // The owner can manually call setAssociatedNFT later
-        }
+        // Link the token back to the NFT
+        newToken.setAssociatedNFT(dataNFTContract, nftId);
+
+        // The factory keeps the initial supply, which must not dilute holders' dividends
+        newToken.setDividendExclusion(address(this), true);
+        
+        // Transfer ownership to the NFT owner
+        newToken.transferOwnership(tokenOwner);
         
         emit DataTokenCreated(
             nftId,
@@ -148,7 +202,7 @@ contract TokenFactory is Ownable {
             name,
             symbol,
             initialSupply,
-            msg.sender
+            tokenOwner
         );
         
         return tokenAddress;
@@ -186,37 +240,7 @@ contract TokenFactory is Ownable {
             defaultDecimals
         );
         
-        // Transfer ownership to the NFT owner
-        newToken.transferOwnership(owner);
-        
-        // Save the token address
-        address tokenAddress = address(newToken);
-        tokensByNFTId[nftId] = tokenAddress;
-        
-        try DataNFT(dataNFTContract).linkDatatoken(nftId, tokenAddress) {
-            // The token was successfully linked to the NFT
-        } catch {
-            revert FailedToCreateToken();
-        }
-        
-        // Try to set the associated NFT in the token contract
-        try DataToken(tokenAddress).setAssociatedNFT(dataNFTContract, nftId) {
-            // The NFT was successfully linked to the token
-        } catch {
-            // This is not critical, so we don't revert
-            // The owner can manually call setAssociatedNFT later
-        }
-        
-        emit DataTokenCreated(
-            nftId,
-            tokenAddress,
-            tokenName,
-            tokenSymbol,
-            defaultInitialSupply,
-            owner
-        );
-        
-        return tokenAddress;
+        return _linkToken(nftId, newToken, owner, tokenName, tokenSymbol, defaultInitialSupply);
     }
     
     /**
@@ -1,5 +1,6 @@
 const { ethers } = require("hardhat");
 const fs = require("fs");
+const { attestDataset } = require("./lib/attest-dataset");
 
 async function main() {
   console.log("Creating a workaround for token creation...");
@@ -15,21 +16,28 @@ async function main() {
   const DataNFT = await ethers.getContractFactory("DataNFT");
   const dataNFT = DataNFT.attach(deploymentInfo.dataNFT);
 
+  const AIVerification = await ethers.getContractFactory("AIVerification");
+  const aiVerification = AIVerification.attach(deploymentInfo.aiVerification);
+
   // Create a test NFT
   console.log("\n==== Step 1: Creating a test NFT ====");
   const metadataURI = "ipfs://QmWorkaround";
   const datasetCID = "ipfs://QmDatasetCIDWorkaround";
   const datasetHash = ethers.encodeBytes32String("workaround-test");
   const isPrivate = false;
-  const decryptionKey = ethers.encodeBytes32String(""); // Empty for public datasets
   
+  // Minting requires a valid attestation for the dataset hash
+  await attestDataset(aiVerification, datasetHash, datasetCID, deployer.address);
+  console.log("Dataset attested");
+
   const mintTx = await dataNFT.mintNFT(
     metadataURI,
     datasetCID,
     datasetHash,
     isPrivate,
-    decryptionKey,
-    deployer.address
+    deployer.address,
+    ethers.ZeroAddress, // royalty receiver (defaults to publisher)
+    0 // royalty in basis points
   );
   
   const mintReceipt = await mintTx.wait();
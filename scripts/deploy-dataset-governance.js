@@ -0,0 +1,104 @@
+// scripts/deploy-dataset-governance.js
+// Puts a dataset under token-holder governance on a local deployment:
+//   DATASET_ID=1 HOLDERS=0xAlice:3000,0xBob:2000 npx hardhat run scripts/deploy-dataset-governance.js --network localhost
+// Deploys a GovernedDataToken, a TimelockController and a DatasetGovernor, links the token
+// to the DataNFT both ways and hands the token and the NFT to the timelock. The deployer must own
+// both the DataNFT contract (to link the token) and the dataset NFT, which must not have a datatoken yet.
+// HOLDERS lists the initial stakes (whole tokens) out of the 10000 minted; the rest is kept by the
+// timelock as a treasury that only a proposal can spend. List the deployer to give it a stake.
+const { ethers } = require("hardhat");
+const fs = require("fs");
+
+const TIMELOCK_DELAY = 2 * 24 * 3600; // 2 days between a passed proposal and its execution
+const VOTING_DELAY = 1;               // Blocks
+const VOTING_PERIOD = 45818;          // Blocks, about a week
+const PROPOSAL_THRESHOLD = ethers.parseEther("10");
+const QUORUM_PERCENT = 4;
+const INITIAL_SUPPLY = ethers.parseEther("10000");
+
+// Parse HOLDERS ("address:amount,...") into checksummed addresses and wei amounts
+function parseHolders(value) {
+  if (!value) throw new Error("Set HOLDERS to the initial token distribution, e.g. 0xAlice:3000,0xBob:2000");
+  const holders = value.split(",").map((entry) => {
+    const [address, amount] = entry.trim().split(":");
+    return { address: ethers.getAddress(address), amount: ethers.parseEther(amount) };
+  });
+  const total = holders.reduce((sum, holder) => sum + holder.amount, 0n);
+  if (total > INITIAL_SUPPLY) throw new Error(`HOLDERS distributes more than ${ethers.formatEther(INITIAL_SUPPLY)} tokens`);
+  return holders;
+}
+
+async function main() {
+  const deploymentInfo = JSON.parse(fs.readFileSync("deployment-local.json", "utf8"));
+  const datasetId = BigInt(process.env.DATASET_ID || "1");
+  const holders = parseHolders(process.env.HOLDERS);
+  const [deployer] = await ethers.getSigners();
+  console.log(`Putting DataNFT #${datasetId} under holder governance as ${deployer.address}`);
+
+  const DataNFT = await ethers.getContractFactory("DataNFT");
+  const dataNFT = DataNFT.attach(deploymentInfo.dataNFT);
+  if ((await dataNFT.ownerOf(datasetId)) !== deployer.address) {
+    throw new Error(`Deployer does not own DataNFT #${datasetId}`);
+  }
+
+  console.log("\n==== Deploying contracts ====");
+  const GovernedDataToken = await ethers.getContractFactory("GovernedDataToken");
+  const dataToken = await (await GovernedDataToken.deploy(
+    `Dataset ${datasetId} Token`, `DS${datasetId}`, INITIAL_SUPPLY, ethers.parseEther("0.01"), 18
+  )).waitForDeployment();
+  const dataTokenAddress = await dataToken.getAddress();
+  console.log(`GovernedDataToken deployed to: ${dataTokenAddress}`);
+
+  // Anyone may execute a proposal once its delay has passed
+  const TimelockController = await ethers.getContractFactory("TimelockController");
+  const timelock = await (await TimelockController.deploy(
+    TIMELOCK_DELAY, [], [ethers.ZeroAddress]
+  )).waitForDeployment();
+  const timelockAddress = await timelock.getAddress();
+  console.log(`TimelockController deployed to: ${timelockAddress}`);
+
+  const DatasetGovernor = await ethers.getContractFactory("DatasetGovernor");
+  const governor = await (await DatasetGovernor.deploy(
+    `Dataset ${datasetId} Governor`, dataTokenAddress, timelockAddress,
+    VOTING_DELAY, VOTING_PERIOD, PROPOSAL_THRESHOLD, QUORUM_PERCENT
+  )).waitForDeployment();
+  const governorAddress = await governor.getAddress();
+  console.log(`DatasetGovernor deployed to: ${governorAddress}`);
+
+  console.log("\n==== Wiring governance ====");
+  // Only the governor queues proposals, and the deployer gives up its timelock admin role
+  await (await timelock.grantRole(await timelock.PROPOSER_ROLE(), governorAddress)).wait();
+  await (await timelock.renounceRole(await timelock.TIMELOCK_ADMIN_ROLE(), deployer.address)).wait();
+  console.log("Governor is the only proposer; timelock admin renounced");
+
+  await (await dataNFT.linkDatatoken(datasetId, dataTokenAddress)).wait();
+  await (await dataToken.setAssociatedNFT(deploymentInfo.dataNFT, datasetId)).wait();
+  console.log(`Token and DataNFT #${datasetId} linked`);
+
+  console.log("\n==== Distributing tokens ====");
+  // Holders only vote once they delegate, which each of them does from their own account
+  for (const holder of holders) {
+    await (await dataToken.transfer(holder.address, holder.amount)).wait();
+    console.log(`${ethers.formatEther(holder.amount)} tokens to ${holder.address}`);
+  }
+  const treasury = await dataToken.balanceOf(deployer.address);
+  await (await dataToken.transfer(timelockAddress, treasury)).wait();
+  console.log(`${ethers.formatEther(treasury)} tokens to the timelock treasury`);
+
+  await (await dataToken.transferOwnership(timelockAddress)).wait();
+  await (await dataNFT.transferFrom(deployer.address, timelockAddress, datasetId)).wait();
+  console.log("Token and DataNFT ownership transferred to the timelock");
+
+  console.log("\n-------- GOVERNANCE SUMMARY --------");
+  console.log(`GovernedDataToken: ${dataTokenAddress}`);
+  console.log(`TimelockController: ${timelockAddress}`);
+  console.log(`DatasetGovernor: ${governorAddress}`);
+  console.log("-----------------------------------\n");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Error:", error);
+    process.exit(1);
+  });
@@ -32,6 +32,50 @@ async function main() {
   const dataNFTAddress = await dataNFT.getAddress();
   console.log(`DataNFT deployed to: ${dataNFTAddress}`);
 
+  // Deploy AIVerification and let its attestations gate minting
+  console.log("Deploying AIVerification...");
+  const AIVerification = await ethers.getContractFactory("AIVerification");
+  const aiVerification = await AIVerification.deploy(dataNFTAddress);
+  await aiVerification.waitForDeployment();
+  const aiVerificationAddress = await aiVerification.getAddress();
+  await dataNFT.setAIVerificationContract(aiVerificationAddress);
+  console.log(`AIVerification deployed to: ${aiVerificationAddress}`);
+
+  // Deploy DatasetMetadataRenderer for on-chain tokenURI JSON
+  console.log("Deploying DatasetMetadataRenderer...");
+  const DatasetMetadataRenderer = await ethers.getContractFactory("DatasetMetadataRenderer");
+  const metadataRenderer = await DatasetMetadataRenderer.deploy(dataNFTAddress);
+  await metadataRenderer.waitForDeployment();
+  const metadataRendererAddress = await metadataRenderer.getAddress();
+  await dataNFT.setMetadataRenderer(metadataRendererAddress);
+  console.log(`DatasetMetadataRenderer deployed to: ${metadataRendererAddress}`);
+
+  // Deploy RevenueSplitter for multi-contributor payouts
+  console.log("Deploying RevenueSplitter...");
+  const RevenueSplitter = await ethers.getContractFactory("RevenueSplitter");
+  const revenueSplitter = await RevenueSplitter.deploy(dataNFTAddress);
+  await revenueSplitter.waitForDeployment();
+  const revenueSplitterAddress = await revenueSplitter.getAddress();
+  await dataNFT.setRevenueSplitter(revenueSplitterAddress);
+  console.log(`RevenueSplitter deployed to: ${revenueSplitterAddress}`);
+
+  // Deploy DatasetLineage for derivative datasets
+  console.log("Deploying DatasetLineage...");
+  const DatasetLineage = await ethers.getContractFactory("DatasetLineage");
+  const datasetLineage = await DatasetLineage.deploy(dataNFTAddress);
+  await datasetLineage.waitForDeployment();
+  const datasetLineageAddress = await datasetLineage.getAddress();
+  await dataNFT.setLineage(datasetLineageAddress);
+  console.log(`DatasetLineage deployed to: ${datasetLineageAddress}`);
+
+  // Deploy DatasetKeyVault for encrypted key delivery
+  console.log("Deploying DatasetKeyVault...");
+  const DatasetKeyVault = await ethers.getContractFactory("DatasetKeyVault");
+  const datasetKeyVault = await DatasetKeyVault.deploy(dataNFTAddress);
+  await datasetKeyVault.waitForDeployment();
+  const datasetKeyVaultAddress = await datasetKeyVault.getAddress();
+  console.log(`DatasetKeyVault deployed to: ${datasetKeyVaultAddress}`);
+
   // Deploy TokenFactory contract
   console.log("Deploying TokenFactory...");
   const TokenFactory = await ethers.getContractFactory("TokenFactory");
@@ -48,12 +92,45 @@ async function main() {
   const marketplaceAddress = await marketplace.getAddress();
   console.log(`Marketplace deployed to: ${marketplaceAddress}`);
 
+  // Deploy DatasetAuction and allow it to settle sales through the Marketplace
+  console.log("Deploying DatasetAuction...");
+  const DatasetAuction = await ethers.getContractFactory("DatasetAuction");
+  const datasetAuction = await DatasetAuction.deploy(marketplaceAddress);
+  await datasetAuction.waitForDeployment();
+  const datasetAuctionAddress = await datasetAuction.getAddress();
+  await marketplace.grantRole(await marketplace.AUCTION_ROLE(), datasetAuctionAddress);
+  console.log(`DatasetAuction deployed to: ${datasetAuctionAddress}`);
+
+  // Deploy MarketplaceLens for catalogue views
+  console.log("Deploying MarketplaceLens...");
+  const MarketplaceLens = await ethers.getContractFactory("MarketplaceLens");
+  const marketplaceLens = await MarketplaceLens.deploy(marketplaceAddress);
+  await marketplaceLens.waitForDeployment();
+  const marketplaceLensAddress = await marketplaceLens.getAddress();
+  console.log(`MarketplaceLens deployed to: ${marketplaceLensAddress}`);
+
+  // Deploy ComputeJobMarket for compute-to-data jobs
+  console.log("Deploying ComputeJobMarket...");
+  const ComputeJobMarket = await ethers.getContractFactory("ComputeJobMarket");
+  const computeJobMarket = await ComputeJobMarket.deploy(dataNFTAddress);
+  await computeJobMarket.waitForDeployment();
+  const computeJobMarketAddress = await computeJobMarket.getAddress();
+  console.log(`ComputeJobMarket deployed to: ${computeJobMarketAddress}`);
+
   // Print summary of all deployed contracts
   console.log("\n-------- DEPLOYMENT SUMMARY --------");
   console.log(`DataNFT: ${dataNFTAddress}`);
+  console.log(`AIVerification: ${aiVerificationAddress}`);
+  console.log(`DatasetMetadataRenderer: ${metadataRendererAddress}`);
+  console.log(`RevenueSplitter: ${revenueSplitterAddress}`);
+  console.log(`DatasetLineage: ${datasetLineageAddress}`);
+  console.log(`DatasetKeyVault: ${datasetKeyVaultAddress}`);
   console.log(`TokenFactory: ${tokenFactoryAddress}`);
   console.log(`Mock LINK Token: ${linkTokenAddress}`);
   console.log(`Marketplace: ${marketplaceAddress}`);
+  console.log(`DatasetAuction: ${datasetAuctionAddress}`);
+  console.log(`MarketplaceLens: ${marketplaceLensAddress}`);
+  console.log(`ComputeJobMarket: ${computeJobMarketAddress}`);
   console.log("-----------------------------------\n");
 
   const finalBalance = await ethers.provider.getBalance(deployer.address);
@@ -65,9 +142,17 @@ async function main() {
   const deploymentInfo = {
     network: "local",
     dataNFT: dataNFTAddress,
+    aiVerification: aiVerificationAddress,
+    metadataRenderer: metadataRendererAddress,
+    revenueSplitter: revenueSplitterAddress,
+    datasetLineage: datasetLineageAddress,
+    datasetKeyVault: datasetKeyVaultAddress,
     tokenFactory: tokenFactoryAddress,
     linkToken: linkTokenAddress,
     marketplace: marketplaceAddress,
+    datasetAuction: datasetAuctionAddress,
+    marketplaceLens: marketplaceLensAddress,
+    computeJobMarket: computeJobMarketAddress,
     timestamp: new Date().toISOString()
   };
 
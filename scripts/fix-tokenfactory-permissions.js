@@ -1,5 +1,6 @@
 const { ethers } = require("hardhat");
 const fs = require("fs");
+const { attestDataset } = require("./lib/attest-dataset");
 
 async function main() {
   console.log("Fixing TokenFactory permissions by updating linkDatatoken function...");
@@ -15,6 +16,9 @@ async function main() {
   const DataNFT = await ethers.getContractFactory("DataNFT");
   const dataNFT = DataNFT.attach(deploymentInfo.dataNFT);
 
+  const AIVerification = await ethers.getContractFactory("AIVerification");
+  const aiVerification = AIVerification.attach(deploymentInfo.aiVerification);
+
   const TokenFactory = await ethers.getContractFactory("TokenFactory");
   const tokenFactory = TokenFactory.attach(deploymentInfo.tokenFactory);
 
@@ -40,15 +44,19 @@ async function main() {
   const datasetCID = "ipfs://QmDatasetCIDFix";
   const datasetHash = ethers.encodeBytes32String("test-fix");
   const isPrivate = false;
-  const decryptionKey = ethers.encodeBytes32String(""); // Empty for public datasets
   
+  // Minting requires a valid attestation for the dataset hash
+  await attestDataset(aiVerification, datasetHash, datasetCID, deployer.address);
+  console.log("Dataset attested");
+
   const mintTx = await dataNFT.mintNFT(
     metadataURI,
     datasetCID,
     datasetHash,
     isPrivate,
-    decryptionKey,
-    deployer.address
+    deployer.address,
+    ethers.ZeroAddress, // royalty receiver (defaults to publisher)
+    0 // royalty in basis points
   );
   
   const mintReceipt = await mintTx.wait();
@@ -59,6 +59,7 @@ async function main() {
   
   const verificationInput = {
     datasetHash: datasetHash,
+    publisher: owner.address,
     verificationHash: verificationHash,
     isVerified: true,
     qualityScore: 85,
@@ -67,9 +68,7 @@ async function main() {
     diversity: 90,
     biasScore: 80,
     datasetCID: "ipfs://QmTestDatasetHash",
-    analysisReport: "ipfs://QmTestReportHash",
-    isPrivate: false,
-    decryptionKey: ethers.ZeroHash
+    analysisReport: "ipfs://QmTestReportHash"
   };
   
   await aiVerification.verifyDataset(verificationInput);
@@ -82,8 +81,9 @@ async function main() {
     "ipfs://QmTestDatasetHash",
     datasetHash,
     false,
-    ethers.ZeroHash,
-    owner.address
+    owner.address,
+    ethers.ZeroAddress, // royalty receiver (defaults to publisher)
+    0 // royalty in basis points
   );
   const mintReceipt = await mintTx.wait();
   
@@ -93,6 +93,8 @@ async function main() {
   );
   const tokenId = mintEvent ? mintEvent.args[0] : 1;
   console.log(`Minted DataNFT with token ID: ${tokenId}`);
+  const attestation = await dataNFT.getVerification(tokenId);
+  console.log(`Attested quality score: ${attestation.qualityScore}, report: ${attestation.analysisReport}`);
   
   // Link the DataNFT to the LINK token
   console.log("Linking DataNFT to LINK token...");
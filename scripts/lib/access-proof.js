@@ -0,0 +1,41 @@
+// scripts/lib/access-proof.js
+// EIP-712 access proofs for gated dataset content. A holder signs a short-lived proof
+// for a DataNFT and one gateway (the audience, identified by its address); that gateway
+// checks it with DataNFT.verifyAccessProof before serving the content, so no on-chain
+// call ever depends on msg.sender. Other gateways reject the proof, but the audience
+// accepts it from whoever presents it until the deadline, so keep deadlines to minutes.
+
+const ACCESS_PROOF_TYPES = {
+  AccessProof: [
+    { name: "holder", type: "address" },
+    { name: "tokenId", type: "uint256" },
+    { name: "audience", type: "address" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+// Sign a proof that `signer` may read the gated content of `tokenId` from the gateway
+// `audience` until `deadline`
+const signAccessProof = async (signer, dataNFT, tokenId, audience, deadline) => {
+  const { chainId } = await dataNFT.runner.provider.getNetwork();
+  const domain = {
+    name: "DataNFT",
+    version: "1",
+    chainId,
+    verifyingContract: await dataNFT.getAddress()
+  };
+  const proof = { holder: await signer.getAddress(), tokenId, audience, deadline };
+  const signature = await signer.signTypedData(domain, ACCESS_PROOF_TYPES, proof);
+  return { ...proof, signature };
+};
+
+// Gateway side: whether a presented proof currently grants access at the gateway with
+// address `audience`; the gateway passes its own address, never the proof's
+const verifyAccessProof = (dataNFT, proof, audience) =>
+  dataNFT.verifyAccessProof(proof.tokenId, proof.holder, audience, proof.deadline, proof.signature);
+
+module.exports = {
+  ACCESS_PROOF_TYPES,
+  signAccessProof,
+  verifyAccessProof
+};
@@ -0,0 +1,74 @@
+// scripts/lib/key-envelope.js
+// Encrypts dataset decryption keys to a buyer's registered encryption public key
+// (see DatasetKeyVault) and decrypts them again on the buyer's side.
+//
+// Envelope layout (hex bytes):
+//   version (1) | ephemeral compressed public key (33) | IV (12) | GCM tag (16) | ciphertext
+// The AES-256-GCM key is derived with HKDF-SHA256 from the secp256k1 ECDH shared secret.
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+
+const ENVELOPE_VERSION = 1;
+const HKDF_INFO = "DataX key envelope v1";
+
+// Derive the symmetric key from an ECDH shared point
+const deriveKey = (sharedSecret, ephemeralPublicKey) => {
+  const sharedX = ethers.getBytes(sharedSecret).slice(1, 33);
+  return Buffer.from(
+    crypto.hkdfSync("sha256", sharedX, ethers.getBytes(ephemeralPublicKey), HKDF_INFO, 32)
+  );
+};
+
+// Create a fresh encryption key pair; register publicKey with DatasetKeyVault
+const generateEncryptionKeyPair = () => {
+  const signingKey = new ethers.SigningKey(ethers.hexlify(ethers.randomBytes(32)));
+  return {
+    privateKey: signingKey.privateKey,
+    publicKey: signingKey.compressedPublicKey
+  };
+};
+
+// Encrypt a dataset key (hex string or bytes) to a recipient's public key
+const encryptEnvelope = (recipientPublicKey, datasetKey) => {
+  const ephemeral = new ethers.SigningKey(ethers.hexlify(ethers.randomBytes(32)));
+  const ephemeralPublicKey = ephemeral.compressedPublicKey;
+  const key = deriveKey(ephemeral.computeSharedSecret(recipientPublicKey), ephemeralPublicKey);
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([cipher.update(ethers.getBytes(datasetKey)), cipher.final()]);
+
+  return ethers.concat([
+    new Uint8Array([ENVELOPE_VERSION]),
+    ephemeralPublicKey,
+    iv,
+    cipher.getAuthTag(),
+    ciphertext
+  ]);
+};
+
+// Decrypt an envelope with the recipient's encryption private key; returns the key as hex
+const decryptEnvelope = (privateKey, envelope) => {
+  const bytes = ethers.getBytes(envelope);
+  if (bytes.length < 62 || bytes[0] !== ENVELOPE_VERSION) {
+    throw new Error("Unsupported key envelope");
+  }
+
+  const ephemeralPublicKey = ethers.hexlify(bytes.slice(1, 34));
+  const iv = bytes.slice(34, 46);
+  const tag = bytes.slice(46, 62);
+  const ciphertext = bytes.slice(62);
+
+  const signingKey = new ethers.SigningKey(privateKey);
+  const key = deriveKey(signingKey.computeSharedSecret(ephemeralPublicKey), ephemeralPublicKey);
+
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  decipher.setAuthTag(tag);
+  return ethers.hexlify(Buffer.concat([decipher.update(ciphertext), decipher.final()]));
+};
+
+module.exports = {
+  generateEncryptionKeyPair,
+  encryptEnvelope,
+  decryptEnvelope
+};
@@ -0,0 +1,116 @@
+// scripts/mock-compute-operator.js
+// Exercises the full compute-to-data flow on a Hardhat network:
+//   npx hardhat run scripts/mock-compute-operator.js
+// It deploys a fresh DataNFT, DataToken and ComputeJobMarket, lets a consumer submit two
+// jobs, has the mock operator run the first one and lets the second one time out.
+const { ethers } = require("hardhat");
+const { attestDataset } = require("./lib/attest-dataset");
+
+const JOB_TIMEOUT = 3600; // 1 hour
+
+// Stand-in for the provider's sandboxed computation. A real operator would fetch the
+// algorithm, run it next to the raw data and pin the output to IPFS.
+const runAlgorithm = (algorithmCID, datasetCID) => {
+  const digest = ethers.keccak256(ethers.toUtf8Bytes(`${algorithmCID}:${datasetCID}`));
+  return `ipfs://mock-result-${digest.slice(2, 18)}`;
+};
+
+// The operator signs the job ID and result CID so consumers can check who produced it
+const attestResult = (operator, jobId, resultCID) =>
+  operator.signMessage(ethers.getBytes(
+    ethers.solidityPackedKeccak256(["uint256", "string"], [jobId, resultCID])
+  ));
+
+// Accept and complete every submitted job assigned to the operator
+const processPendingJobs = async (market, dataNFT, operator) => {
+  const submitted = await market.queryFilter(market.filters.JobSubmitted());
+  for (const event of submitted) {
+    const { jobId, tokenId, operator: assignee, algorithmCID } = event.args;
+    if (assignee !== operator.address) continue;
+
+    const job = await market.getJob(jobId);
+    if (job.status !== 1n) continue; // Only jobs still in Submitted state
+
+    console.log(`Operator accepting job #${jobId} (${algorithmCID} on DataNFT #${tokenId})`);
+    await (await market.connect(operator).acceptJob(jobId)).wait();
+
+    const resultCID = runAlgorithm(algorithmCID, await dataNFT.datasetCIDs(tokenId));
+    const attestation = await attestResult(operator, jobId, resultCID);
+    await (await market.connect(operator).completeJob(jobId, resultCID, attestation)).wait();
+    console.log(`Operator completed job #${jobId} with result ${resultCID}`);
+  }
+};
+
+async function main() {
+  const [, publisher, consumer, operator] = await ethers.getSigners();
+  console.log(`Publisher: ${publisher.address}`);
+  console.log(`Consumer: ${consumer.address}`);
+  console.log(`Operator: ${operator.address}`);
+
+  // Deploy the contracts the flow needs
+  console.log("\n==== Deploying contracts ====");
+  const DataNFT = await ethers.getContractFactory("DataNFT");
+  const dataNFT = await (await DataNFT.deploy()).waitForDeployment();
+  const AIVerification = await ethers.getContractFactory("AIVerification");
+  const aiVerification = await (await AIVerification.deploy(await dataNFT.getAddress())).waitForDeployment();
+  await dataNFT.setAIVerificationContract(await aiVerification.getAddress());
+  const ComputeJobMarket = await ethers.getContractFactory("ComputeJobMarket");
+  const market = await (await ComputeJobMarket.deploy(await dataNFT.getAddress())).waitForDeployment();
+  const DataToken = await ethers.getContractFactory("DataToken");
+  const dataToken = await (await DataToken.deploy(
+    "Compute Dataset Token", "CDT", ethers.parseEther("10000"), ethers.parseEther("0.01"), 18
+  )).waitForDeployment();
+  console.log(`ComputeJobMarket deployed to: ${await market.getAddress()}`);
+
+  // Publish a private dataset that only offers compute access
+  console.log("\n==== Publishing dataset ====");
+  const datasetCID = "ipfs://QmComputeOnlyDataset";
+  const datasetHash = ethers.keccak256(ethers.toUtf8Bytes("compute-only-dataset"));
+  await attestDataset(aiVerification, datasetHash, datasetCID, publisher.address);
+  await (await dataNFT.connect(publisher).mintNFT(
+    "ipfs://QmComputeMetadata", datasetCID, datasetHash, true,
+    publisher.address, ethers.ZeroAddress, 0
+  )).wait();
+  await (await dataNFT.linkDatatoken(1, await dataToken.getAddress())).wait();
+
+  const price = ethers.parseEther("5");
+  await (await market.setOperator(operator.address, true)).wait();
+  await (await market.connect(publisher).setComputeTerms(1, price, JOB_TIMEOUT, operator.address)).wait();
+  console.log(`Compute offered at ${ethers.formatEther(price)} CDT per job, run by the operator`);
+
+  // The consumer submits two jobs
+  console.log("\n==== Submitting jobs ====");
+  await (await dataToken.transfer(consumer.address, price * 2n)).wait();
+  await (await dataToken.connect(consumer).approve(await market.getAddress(), price * 2n)).wait();
+  await (await market.connect(consumer).submitJob(1, "ipfs://QmTrainModel")).wait();
+  console.log("Consumer submitted job #1");
+
+  // The operator processes what is pending, then goes offline
+  console.log("\n==== Running mock operator ====");
+  await processPendingJobs(market, dataNFT, operator);
+  const job = await market.getJob(1);
+  const signer = ethers.verifyMessage(
+    ethers.getBytes(ethers.solidityPackedKeccak256(["uint256", "string"], [1, job.resultCID])),
+    job.attestation
+  );
+  console.log(`Job #1 result ${job.resultCID}, attested by ${signer}`);
+  console.log(`Publisher received ${ethers.formatEther(await dataToken.balanceOf(publisher.address))} CDT`);
+
+  // A job nobody picks up is refunded after the deadline
+  console.log("\n==== Timing out a job ====");
+  await (await market.connect(consumer).submitJob(1, "ipfs://QmStatistics")).wait();
+  console.log("Consumer submitted job #2; the operator is offline");
+  await ethers.provider.send("evm_increaseTime", [JOB_TIMEOUT + 1]);
+  await ethers.provider.send("evm_mine", []);
+  await (await market.connect(consumer).refundJob(2)).wait();
+  console.log(`Consumer refunded, balance ${ethers.formatEther(await dataToken.balanceOf(consumer.address))} CDT`);
+
+  console.log("\nCompute-to-data flow completed successfully!");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Error:", error);
+    process.exit(1);
+  });
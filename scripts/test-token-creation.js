@@ -1,6 +1,7 @@
 // scripts/test-token-creation.js
 const { ethers } = require("hardhat");
 const fs = require("fs");
+const { attestDataset } = require("./lib/attest-dataset");
 
 async function main() {
   console.log("Testing NFT minting and token creation...");
@@ -17,6 +18,9 @@ async function main() {
   const DataNFT = await ethers.getContractFactory("DataNFT");
   const dataNFT = DataNFT.attach(deploymentInfo.dataNFT);
 
+  const AIVerification = await ethers.getContractFactory("AIVerification");
+  const aiVerification = AIVerification.attach(deploymentInfo.aiVerification);
+
   const TokenFactory = await ethers.getContractFactory("TokenFactory");
   const tokenFactory = TokenFactory.attach(deploymentInfo.tokenFactory);
 
@@ -26,22 +30,26 @@ async function main() {
   const datasetCID = "ipfs://QmDatasetCID";
   const datasetHash = ethers.encodeBytes32String("test-dataset");
   const isPrivate = false;
-  const decryptionKey = ethers.encodeBytes32String(""); // Empty for public datasets
-  const recipient = deployer.address;
+  const publisher = deployer.address;
   const datasetName = "Test Dataset";
 
   console.log(`Minting NFT with metadata: ${metadataURI}`);
   console.log(`Dataset CID: ${datasetCID}`);
   console.log(`Dataset hash: ${datasetHash}`);
-  console.log(`Recipient: ${recipient}`);
+  console.log(`Publisher: ${publisher}`);
+
+  // Minting requires a valid attestation for the dataset hash
+  await attestDataset(aiVerification, datasetHash, datasetCID, publisher);
+  console.log("Dataset attested");
 
   const mintTx = await dataNFT.mintNFT(
     metadataURI,
     datasetCID,
     datasetHash,
     isPrivate,
-    decryptionKey,
-    recipient
+    publisher,
+    ethers.ZeroAddress, // royalty receiver (defaults to publisher)
+    0 // royalty in basis points
   );
 
   const mintReceipt = await mintTx.wait();
@@ -0,0 +1,123 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { attestDataset } = require("../scripts/lib/attest-dataset");
+
+describe("ComputeJobMarket", function () {
+  let dataNFT, dataToken, market;
+  let owner, publisher, consumer, operator;
+
+  const price = ethers.parseEther("5");
+  const timeout = 3600;
+  const algorithmCID = "ipfs://QmAlgorithm";
+
+  beforeEach(async function () {
+    [owner, publisher, consumer, operator] = await ethers.getSigners();
+
+    const DataNFT = await ethers.getContractFactory("DataNFT");
+    dataNFT = await (await DataNFT.deploy()).waitForDeployment();
+
+    const AIVerification = await ethers.getContractFactory("AIVerification");
+    const aiVerification = await (await AIVerification.deploy(await dataNFT.getAddress())).waitForDeployment();
+    await dataNFT.setAIVerificationContract(await aiVerification.getAddress());
+
+    const DataToken = await ethers.getContractFactory("DataToken");
+    dataToken = await (await DataToken.deploy(
+      "DataToken",
+      "DTK",
+      ethers.parseEther("10000"),
+      ethers.parseEther("0.01"),
+      18
+    )).waitForDeployment();
+
+    const ComputeJobMarket = await ethers.getContractFactory("ComputeJobMarket");
+    market = await (await ComputeJobMarket.deploy(await dataNFT.getAddress())).waitForDeployment();
+
+    const datasetHash = ethers.keccak256(ethers.toUtf8Bytes("test-dataset"));
+    await attestDataset(aiVerification, datasetHash, "ipfs://QmTestDataset", publisher.address);
+    await dataNFT.connect(publisher).mintNFT(
+      "https://metadata.example.com/nft/1", "ipfs://QmTestDataset", datasetHash, true,
+      publisher.address, ethers.ZeroAddress, 0
+    );
+    await dataNFT.linkDatatoken(1, await dataToken.getAddress());
+
+    await market.setOperator(operator.address, true);
+    await market.connect(publisher).setComputeTerms(1, price, timeout, operator.address);
+
+    await dataToken.transfer(consumer.address, price * 2n);
+    await dataToken.connect(consumer).approve(await market.getAddress(), price * 2n);
+  });
+
+  it("Should only accept terms naming a registered operator", async function () {
+    await expect(market.setComputeTerms(1, price, timeout, operator.address))
+      .to.be.revertedWithCustomError(market, "NotTheOwner");
+    await expect(market.connect(publisher).setComputeTerms(1, price, timeout, consumer.address))
+      .to.be.revertedWithCustomError(market, "OperatorNotRegistered");
+    await expect(market.connect(publisher).setComputeTerms(1, price, 0, operator.address))
+      .to.be.revertedWithCustomError(market, "InvalidTimeout");
+
+    await market.connect(publisher).setComputeTerms(1, 0, 0, ethers.ZeroAddress);
+    await expect(market.connect(consumer).submitJob(1, algorithmCID))
+      .to.be.revertedWithCustomError(market, "ComputeNotOffered");
+  });
+
+  it("Should not take jobs for paused or frozen datasets", async function () {
+    await dataNFT.pause();
+    await expect(market.connect(consumer).submitJob(1, algorithmCID))
+      .to.be.revertedWithCustomError(market, "AccessPaused");
+    await dataNFT.unpause();
+
+    await dataNFT.freezeDataset(1, 3, "ipfs://QmNotice");
+    await expect(market.connect(consumer).submitJob(1, algorithmCID))
+      .to.be.revertedWithCustomError(market, "DatasetIsFrozen")
+      .withArgs(3);
+  });
+
+  it("Should not release escrow for a dataset frozen after submission", async function () {
+    await market.connect(consumer).submitJob(1, algorithmCID);
+    await market.connect(operator).acceptJob(1);
+    await dataNFT.freezeDataset(1, 3, "ipfs://QmNotice");
+
+    await expect(market.connect(operator).completeJob(1, "ipfs://QmResult", "0x"))
+      .to.be.revertedWithCustomError(market, "DatasetIsFrozen")
+      .withArgs(3);
+    await time.increase(timeout + 1);
+    await expect(market.connect(consumer).refundJob(1))
+      .to.changeTokenBalance(dataToken, consumer, price);
+  });
+
+  it("Should escrow payment and release it to the dataset owner on completion", async function () {
+    await expect(market.connect(consumer).submitJob(1, algorithmCID))
+      .to.changeTokenBalances(dataToken, [consumer, market], [-price, price]);
+
+    await expect(market.connect(consumer).acceptJob(1))
+      .to.be.revertedWithCustomError(market, "NotOperator");
+    await expect(market.connect(operator).completeJob(1, "ipfs://QmResult", "0x"))
+      .to.be.revertedWithCustomError(market, "InvalidJobStatus");
+    await market.connect(operator).acceptJob(1);
+
+    const attestation = await operator.signMessage(ethers.toUtf8Bytes("ipfs://QmResult"));
+    const tx = market.connect(operator).completeJob(1, "ipfs://QmResult", attestation);
+    await expect(tx).to.emit(market, "JobCompleted").withArgs(1, "ipfs://QmResult", attestation);
+    await expect(tx).to.changeTokenBalances(dataToken, [market, publisher], [-price, price]);
+
+    const job = await market.getJob(1);
+    expect(job.resultCID).to.equal("ipfs://QmResult");
+    expect(ethers.verifyMessage(ethers.toUtf8Bytes(job.resultCID), job.attestation)).to.equal(operator.address);
+    await expect(market.connect(consumer).refundJob(1))
+      .to.be.revertedWithCustomError(market, "InvalidJobStatus");
+  });
+
+  it("Should refund jobs not completed before the deadline", async function () {
+    await market.connect(consumer).submitJob(1, algorithmCID);
+    await market.connect(operator).acceptJob(1);
+    await expect(market.connect(consumer).refundJob(1))
+      .to.be.revertedWithCustomError(market, "JobNotExpired");
+
+    await time.increase(timeout + 1);
+    await expect(market.connect(operator).completeJob(1, "ipfs://QmResult", "0x"))
+      .to.be.revertedWithCustomError(market, "JobExpired");
+    await expect(market.connect(consumer).refundJob(1))
+      .to.changeTokenBalance(dataToken, consumer, price);
+  });
+});
@@ -55,6 +55,7 @@ describe("DataNFT Marketplace", function () {
       // Use the new VerificationInput struct format
       const verificationInput = {
         datasetHash: datasetHash,
+        publisher: verifier.address,
         verificationHash: ethers.keccak256(ethers.toUtf8Bytes("verification")),
         isVerified: true,
         qualityScore: 80,
@@ -87,7 +88,7 @@ describe("DataNFT Marketplace", function () {
 
     it("Should revert if dataset is not verified", async function () {
       await expect(
-        dataNFT.mintNFT(tokenURI, datasetCID, datasetHash, true, decryptionKey, owner.address)
+        dataNFT.mintNFT(tokenURI, datasetCID, datasetHash, true, owner.address, ethers.ZeroAddress, 0)
       ).to.be.reverted;
     });
   });
@@ -96,6 +97,7 @@ describe("DataNFT Marketplace", function () {
     it("Should mint an NFT after verification", async function () {
       const verificationInput = {
         datasetHash: datasetHash,
+        publisher: verifier.address,
         verificationHash: ethers.keccak256(ethers.toUtf8Bytes("verification")),
         isVerified: true,
         qualityScore: 80,
@@ -131,6 +133,7 @@ describe("DataNFT Marketplace", function () {
     it("Should link a DataToken to an NFT", async function () {
       const verificationInput = {
         datasetHash: datasetHash,
+        publisher: verifier.address,
         verificationHash: ethers.keccak256(ethers.toUtf8Bytes("verification")),
         isVerified: true,
         qualityScore: 80,
@@ -153,7 +156,7 @@ describe("DataNFT Marketplace", function () {
       expect(result).to.be.true;
 
       // Alternative implementation - manual mint since verification may not always mint
-      await dataNFT.mintNFT(tokenURI, datasetCID, datasetHash, true, decryptionKey, owner.address);
+      await dataNFT.connect(verifier).mintNFT(tokenURI, datasetCID, datasetHash, true, verifier.address, ethers.ZeroAddress, 0);
       
       const tokenAddress = await dataToken.getAddress();
       await dataNFT.connect(owner).linkDatatoken(1, tokenAddress);
@@ -163,6 +166,7 @@ describe("DataNFT Marketplace", function () {
     it("Should allow data access for owner without payment", async function () {
       const verificationInput = {
         datasetHash: datasetHash,
+        publisher: verifier.address,
         verificationHash: ethers.keccak256(ethers.toUtf8Bytes("verification")),
         isVerified: true,
         qualityScore: 80,
@@ -181,19 +185,15 @@ describe("DataNFT Marketplace", function () {
         .verifyDataset(verificationInput);
 
       // Manual mint since verification may not consistently mint
-      await dataNFT.mintNFT(tokenURI, datasetCID, datasetHash, true, decryptionKey, verifier.address);
+      await dataNFT.connect(verifier).mintNFT(tokenURI, datasetCID, datasetHash, true, verifier.address, ethers.ZeroAddress, 0);
       
       const tokenAddress = await dataToken.getAddress();
       await dataNFT.connect(owner).linkDatatoken(1, tokenAddress);
 
       // Use the try/catch pattern to handle potential errors
       try {
-        const result = await dataNFT.connect(verifier).accessData(1, 0);
-        // Manually extract CID and key from result (object structure in ethers v6)
-        const cid = result[0];
-        const key = result[1];
+        const cid = await dataNFT.connect(verifier).accessData.staticCall(1, 0);
         expect(cid).to.equal(datasetCID);
-        expect(key).to.equal(decryptionKey);
       } catch (error) {
         console.log("Error accessing data:", error.message);
         // Make sure test passes even if there's an error
@@ -221,6 +221,7 @@ describe("DataNFT Marketplace", function () {
       // Setup: verify and mint NFT
       const verificationInput = {
         datasetHash: datasetHash,
+        publisher: verifier.address,
         verificationHash: ethers.keccak256(ethers.toUtf8Bytes("verification")),
         isVerified: true,
         qualityScore: 80,
@@ -239,7 +240,7 @@ describe("DataNFT Marketplace", function () {
         .verifyDataset(verificationInput);
 
       // Manual mint since verification may not consistently mint
-      await dataNFT.mintNFT(tokenURI, datasetCID, datasetHash, true, decryptionKey, verifier.address);
+      await dataNFT.connect(verifier).mintNFT(tokenURI, datasetCID, datasetHash, true, verifier.address, ethers.ZeroAddress, 0);
       
       const nftAddress = await dataNFT.getAddress();
       const dataTokenAddress = await dataToken.getAddress();
@@ -274,6 +275,30 @@ describe("DataNFT Marketplace", function () {
     });
 
     it("Should revert if NFT is not linked", async function () {
+      const verificationInput = {
+        datasetHash: datasetHash,
+        publisher: verifier.address,
+        verificationHash: ethers.keccak256(ethers.toUtf8Bytes("verification")),
+        isVerified: true,
+        qualityScore: 80,
+        anomalies: 5,
+        duplicates: 10,
+        diversity: 70,
+        biasScore: 20,
+        datasetCID: datasetCID,
+        analysisReport: "ipfs://QmAnalysisReport"
+      };
+
+      await aiVerification
+        .connect(verifier)
+        .verifyDataset(verificationInput);
+      await dataNFT.connect(verifier).mintNFT(tokenURI, datasetCID, datasetHash, true, verifier.address, ethers.ZeroAddress, 0);
+
+      // Link the token to NFT 1 and sell a tier, so only the NFT link check can fail
+      await dataNFT.connect(owner).linkDatatoken(1, await dataToken.getAddress());
+      await dataToken.connect(owner).setAssociatedNFT(await dataNFT.getAddress(), 1);
+      await dataToken.connect(owner).addAccessTier("Download", ethers.parseEther("10"), 0, false);
+
       const tokenAmount = ethers.parseEther("10");
       
       // First buy some tokens for user1
@@ -281,15 +306,9 @@ describe("DataNFT Marketplace", function () {
       const cost = (tokenAmount * tokenPrice) / ethers.parseEther("1");
       await dataToken.connect(user1).buyTokens(tokenAmount, { value: cost });
 
-      // Manually check the correct error, since .to.be.revertedWith isn't working correctly
-      try {
-        await dataToken.connect(user1).redeemForAccess(tokenAmount, 999); // Use a token ID that doesn't exist
-        // If we get here, fail the test
-        expect.fail("Expected transaction to revert");
-      } catch (error) {
-        // We're just checking if it reverts with any error, since test is failing
-        expect(error.message).to.include("reverted");
-      }
+      await expect(
+        dataToken.connect(user1).redeemForAccess(tokenAmount, 999) // Use a token ID that doesn't exist
+      ).to.be.revertedWithCustomError(dataToken, "NFTNotLinked");
     });
   });
 
@@ -298,6 +317,7 @@ describe("DataNFT Marketplace", function () {
       // Verify and mint NFT
       const verificationInput = {
         datasetHash: datasetHash,
+        publisher: verifier.address,
         verificationHash: ethers.keccak256(ethers.toUtf8Bytes("verification")),
         isVerified: true,
         qualityScore: 80,
@@ -316,7 +336,7 @@ describe("DataNFT Marketplace", function () {
         .verifyDataset(verificationInput);
 
       // Manual mint since verification may not consistently mint
-      await dataNFT.mintNFT(tokenURI, datasetCID, datasetHash, true, decryptionKey, verifier.address);
+      await dataNFT.connect(verifier).mintNFT(tokenURI, datasetCID, datasetHash, true, verifier.address, ethers.ZeroAddress, 0);
       
       const nftAddress = await dataNFT.getAddress();
       const dataTokenAddress = await dataToken.getAddress();
@@ -350,6 +370,7 @@ describe("DataNFT Marketplace", function () {
     it("Should revert if Marketplace is not approved", async function () {
       const verificationInput = {
         datasetHash: datasetHash,
+        publisher: verifier.address,
         verificationHash: ethers.keccak256(ethers.toUtf8Bytes("verification")),
         isVerified: true,
         qualityScore: 80,
@@ -368,7 +389,7 @@ describe("DataNFT Marketplace", function () {
         .verifyDataset(verificationInput);
 
       // Manual mint since verification may not consistently mint
-      await dataNFT.mintNFT(tokenURI, datasetCID, datasetHash, true, decryptionKey, verifier.address);
+      await dataNFT.connect(verifier).mintNFT(tokenURI, datasetCID, datasetHash, true, verifier.address, ethers.ZeroAddress, 0);
       
       const dataTokenAddress = await dataToken.getAddress();
       await dataNFT.connect(owner).linkDatatoken(1, dataTokenAddress);
@@ -381,6 +402,7 @@ describe("DataNFT Marketplace", function () {
     it("Should revert if NFT is not linked to DataToken", async function () {
       const verificationInput = {
         datasetHash: datasetHash,
+        publisher: verifier.address,
         verificationHash: ethers.keccak256(ethers.toUtf8Bytes("verification")),
         isVerified: true,
         qualityScore: 80,
@@ -399,7 +421,7 @@ describe("DataNFT Marketplace", function () {
         .verifyDataset(verificationInput);
 
       // Manual mint since verification may not consistently mint
-      await dataNFT.mintNFT(tokenURI, datasetCID, datasetHash, true, decryptionKey, verifier.address);
+      await dataNFT.connect(verifier).mintNFT(tokenURI, datasetCID, datasetHash, true, verifier.address, ethers.ZeroAddress, 0);
       
       const marketplaceAddress = await marketplace.getAddress();
       await dataNFT.connect(verifier).setApprovalForAll(marketplaceAddress, true);
@@ -0,0 +1,638 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { attestDataset } = require("../scripts/lib/attest-dataset");
+const { signAccessProof, verifyAccessProof } = require("../scripts/lib/access-proof");
+const { generateEncryptionKeyPair, encryptEnvelope, decryptEnvelope } = require("../scripts/lib/key-envelope");
+
+describe("DataNFT", function () {
+  let dataNFT, dataToken, aiVerification;
+  let owner, publisher, buyer, agent;
+  let datasetHash, datasetCID, tokenURI;
+
+  beforeEach(async function () {
+    [owner, publisher, buyer, agent] = await ethers.getSigners();
+
+    const DataNFT = await ethers.getContractFactory("DataNFT");
+    dataNFT = await (await DataNFT.deploy()).waitForDeployment();
+
+    const DataToken = await ethers.getContractFactory("DataToken");
+    dataToken = await (await DataToken.deploy(
+      "DataToken",
+      "DTK",
+      ethers.parseEther("10000"),
+      ethers.parseEther("0.01"),
+      18
+    )).waitForDeployment();
+
+    datasetHash = ethers.keccak256(ethers.toUtf8Bytes("test-dataset"));
+    datasetCID = "ipfs://QmTestDataset";
+    tokenURI = "https://metadata.example.com/nft/1";
+
+    const AIVerification = await ethers.getContractFactory("AIVerification");
+    aiVerification = await (await AIVerification.deploy(await dataNFT.getAddress())).waitForDeployment();
+    await dataNFT.setAIVerificationContract(await aiVerification.getAddress());
+  });
+
+  // Mint a private dataset to the publisher and link the DataToken
+  async function mintPrivate() {
+    await attestDataset(aiVerification, datasetHash, datasetCID, publisher.address);
+    await dataNFT.connect(publisher).mintNFT(
+      tokenURI, datasetCID, datasetHash, true,
+      publisher.address, ethers.ZeroAddress, 0
+    );
+    await dataNFT.linkDatatoken(1, await dataToken.getAddress());
+  }
+
+  describe("Verification", function () {
+    it("Should only mint datasets with a valid attestation", async function () {
+      const mint = () => dataNFT.connect(publisher).mintNFT(
+        tokenURI, datasetCID, datasetHash, false,
+        publisher.address, ethers.ZeroAddress, 0
+      );
+      await expect(mint()).to.be.revertedWithCustomError(dataNFT, "DatasetNotVerified");
+
+      await attestDataset(aiVerification, datasetHash, datasetCID, publisher.address, { isVerified: false });
+      await expect(mint()).to.be.revertedWithCustomError(dataNFT, "DatasetNotVerified");
+
+      await attestDataset(aiVerification, datasetHash, datasetCID, publisher.address, { qualityScore: 40 });
+      await aiVerification.setMinQualityScore(50);
+      await expect(mint()).to.be.revertedWithCustomError(dataNFT, "DatasetNotVerified");
+
+      await aiVerification.setMinQualityScore(30);
+      await mint();
+      expect(await dataNFT.ownerOf(1)).to.equal(publisher.address);
+
+      await aiVerification.revokeVerification(datasetHash);
+      await expect(mint()).to.be.revertedWithCustomError(dataNFT, "DatasetNotVerified");
+    });
+
+    it("Should only mint an attested hash for its publisher and CID", async function () {
+      await attestDataset(aiVerification, datasetHash, datasetCID, publisher.address);
+      const mint = (signer, cid, recipient) => dataNFT.connect(signer).mintNFT(
+        tokenURI, cid, datasetHash, false, recipient.address, ethers.ZeroAddress, 0
+      );
+
+      // An observer of the attestation can neither mint it for themselves nor for the publisher
+      await expect(mint(buyer, datasetCID, buyer))
+        .to.be.revertedWithCustomError(dataNFT, "NotAttestedPublisher");
+      await expect(mint(buyer, datasetCID, publisher))
+        .to.be.revertedWithCustomError(dataNFT, "NotAttestedPublisher");
+      await expect(mint(publisher, "ipfs://QmFake", publisher))
+        .to.be.revertedWithCustomError(dataNFT, "DatasetCIDMismatch");
+
+      await mint(publisher, datasetCID, publisher);
+      expect(await dataNFT.ownerOf(1)).to.equal(publisher.address);
+    });
+
+    it("Should restrict attestations to verifiers", async function () {
+      await expect(attestDataset(aiVerification.connect(agent), datasetHash, datasetCID, publisher.address))
+        .to.be.reverted;
+      await expect(attestDataset(aiVerification, datasetHash, datasetCID, publisher.address, { qualityScore: 101 }))
+        .to.be.revertedWithCustomError(aiVerification, "InvalidScore");
+      await expect(attestDataset(aiVerification, datasetHash, datasetCID, ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(aiVerification, "InvalidPublisher");
+
+      await aiVerification.grantRole(await aiVerification.VERIFIER_ROLE(), agent.address);
+      await expect(attestDataset(aiVerification.connect(agent), datasetHash, datasetCID, publisher.address))
+        .to.emit(aiVerification, "DatasetVerified");
+    });
+
+    it("Should expose the attestation alongside the NFT", async function () {
+      await attestDataset(aiVerification, datasetHash, datasetCID, publisher.address, {
+        qualityScore: 85,
+        anomalies: 3,
+        analysisReport: "ipfs://QmAnalysisReport"
+      });
+      await dataNFT.connect(publisher).mintNFT(
+        tokenURI, datasetCID, datasetHash, false,
+        publisher.address, ethers.ZeroAddress, 0
+      );
+
+      expect(await dataNFT.datasetHashes(1)).to.equal(datasetHash);
+      const attestation = await dataNFT.getVerification(1);
+      expect(attestation.qualityScore).to.equal(85);
+      expect(attestation.anomalies).to.equal(3);
+      expect(attestation.datasetCID).to.equal(datasetCID);
+      expect(attestation.analysisReport).to.equal("ipfs://QmAnalysisReport");
+      expect(attestation.publisher).to.equal(publisher.address);
+      expect(attestation.verifier).to.equal(owner.address);
+    });
+  });
+
+  describe("Dataset hashes", function () {
+    const mint = (signer, recipient) => dataNFT.connect(signer).mintNFT(
+      tokenURI, datasetCID, datasetHash, false,
+      recipient.address, ethers.ZeroAddress, 0
+    );
+
+    beforeEach(async function () {
+      await mintPrivate();
+    });
+
+    it("Should reject plagiarised copies of a minted dataset", async function () {
+      await expect(mint(publisher, publisher))
+        .to.be.revertedWithCustomError(dataNFT, "DuplicateDataset")
+        .withArgs(1);
+      await expect(mint(buyer, buyer))
+        .to.be.revertedWithCustomError(dataNFT, "DuplicateDataset")
+        .withArgs(1);
+      expect(await dataNFT.tokenByDatasetHash(datasetHash)).to.equal(1);
+      expect(await dataNFT.tokenByDatasetHash(ethers.id("unknown"))).to.equal(0);
+    });
+
+    it("Should allow verifier-approved re-publications once", async function () {
+      await expect(aiVerification.connect(buyer).approveRepublication(datasetHash, agent.address))
+        .to.be.reverted;
+      await aiVerification.approveRepublication(datasetHash, agent.address);
+      await expect(mint(buyer, buyer)).to.be.revertedWithCustomError(dataNFT, "DuplicateDataset");
+      await expect(mint(buyer, agent)).to.be.revertedWithCustomError(dataNFT, "NotAttestedPublisher");
+
+      await expect(mint(agent, agent)).to.emit(aiVerification, "RepublicationUsed");
+      await expect(mint(agent, agent)).to.be.revertedWithCustomError(dataNFT, "DuplicateDataset");
+
+      expect(await dataNFT.getTokensByDatasetHash(datasetHash)).to.deep.equal([1n, 2n]);
+      expect(await dataNFT.tokenByDatasetHash(datasetHash)).to.equal(1);
+    });
+
+    it("Should only let the attested publisher claim an unminted hash", async function () {
+      const otherHash = ethers.id("other-dataset");
+      const mintOther = (signer) => dataNFT.connect(signer).mintNFT(
+        tokenURI, "ipfs://QmOther", otherHash, false, signer.address, ethers.ZeroAddress, 0
+      );
+      await attestDataset(aiVerification, otherHash, "ipfs://QmOther", publisher.address);
+
+      // Neither a third party nor an approved re-publisher can claim the hash first
+      await expect(mintOther(buyer)).to.be.revertedWithCustomError(dataNFT, "NotAttestedPublisher");
+      await aiVerification.approveRepublication(otherHash, agent.address);
+      await expect(mintOther(agent)).to.be.revertedWithCustomError(dataNFT, "NotAttestedPublisher");
+
+      await mintOther(publisher);
+      expect(await dataNFT.tokenByDatasetHash(otherHash)).to.equal(2);
+      await expect(mintOther(agent)).to.emit(aiVerification, "RepublicationUsed");
+      expect(await dataNFT.getTokensByDatasetHash(otherHash)).to.deep.equal([2n, 3n]);
+    });
+
+    it("Should keep the hash of a burned dataset claimed", async function () {
+      await dataNFT.burnNFT(1);
+      await expect(mint(publisher, publisher))
+        .to.be.revertedWithCustomError(dataNFT, "DuplicateDataset")
+        .withArgs(1);
+
+      await aiVerification.approveRepublication(datasetHash, publisher.address);
+      await mint(publisher, publisher);
+      expect(await dataNFT.getTokensByDatasetHash(datasetHash)).to.deep.equal([1n, 2n]);
+    });
+
+    it("Should enumerate tokens by owner", async function () {
+      const otherHash = ethers.id("other-dataset");
+      await attestDataset(aiVerification, otherHash, "ipfs://QmOther", publisher.address);
+      await dataNFT.connect(publisher).mintNFT(tokenURI, "ipfs://QmOther", otherHash, false, publisher.address, ethers.ZeroAddress, 0);
+
+      expect(await dataNFT.balanceOf(publisher.address)).to.equal(2);
+      expect(await dataNFT.tokenOfOwnerByIndex(publisher.address, 1)).to.equal(2);
+      await dataNFT.connect(publisher).transferFrom(publisher.address, buyer.address, 1);
+      expect(await dataNFT.tokenOfOwnerByIndex(publisher.address, 0)).to.equal(2);
+      expect(await dataNFT.tokenOfOwnerByIndex(buyer.address, 0)).to.equal(1);
+      expect(await dataNFT.totalSupply()).to.equal(2);
+      expect(await dataNFT.supportsInterface("0x780e9d63")).to.be.true;
+    });
+  });
+
+  describe("Versions", function () {
+    const v1Hash = ethers.keccak256(ethers.toUtf8Bytes("test-dataset-v1"));
+    const v1CID = "ipfs://QmTestDatasetV1";
+
+    beforeEach(async function () {
+      await mintPrivate();
+      await attestDataset(aiVerification, v1Hash, v1CID, publisher.address);
+    });
+
+    it("Should let the NFT owner append attested versions", async function () {
+      await expect(dataNFT.publishVersion(1, v1CID, v1Hash, "ipfs://QmChangelog1"))
+        .to.be.revertedWithCustomError(dataNFT, "NotTheOwner");
+      await expect(dataNFT.connect(publisher).publishVersion(1, v1CID, ethers.id("unattested"), ""))
+        .to.be.revertedWithCustomError(dataNFT, "DatasetNotVerified");
+      await expect(dataNFT.connect(publisher).publishVersion(1, "ipfs://QmFake", v1Hash, ""))
+        .to.be.revertedWithCustomError(dataNFT, "DatasetCIDMismatch");
+
+      await expect(dataNFT.connect(publisher).publishVersion(1, v1CID, v1Hash, "ipfs://QmChangelog1"))
+        .to.emit(dataNFT, "DatasetVersionPublished")
+        .withArgs(1, 1, v1CID, v1Hash, "ipfs://QmChangelog1");
+
+      expect(await dataNFT.versionCount(1)).to.equal(2);
+      expect(await dataNFT.datasetCIDs(1)).to.equal(v1CID);
+      expect(await dataNFT.datasetHashes(1)).to.equal(v1Hash);
+      const [contentHash, changelogURI] = await dataNFT.getVersion(1, 0);
+      expect(contentHash).to.equal(datasetHash);
+      expect(changelogURI).to.equal("");
+    });
+
+    it("Should serve the latest version by default and pinned versions on request", async function () {
+      await dataNFT.connect(publisher).publishVersion(1, v1CID, v1Hash, "ipfs://QmChangelog1");
+
+      await dataToken.transfer(buyer.address, ethers.parseEther("1"));
+      await dataToken.connect(buyer).approve(await dataNFT.getAddress(), ethers.parseEther("1"));
+      await dataNFT.connect(buyer).accessData(1, ethers.parseEther("1"));
+
+      expect(await dataNFT.connect(buyer).accessData.staticCall(1, 0)).to.equal(v1CID);
+      expect(await dataNFT.connect(buyer).accessDataVersion.staticCall(1, 0, 0)).to.equal(datasetCID);
+      await expect(dataNFT.connect(buyer).accessDataVersion(1, 0, 2))
+        .to.be.revertedWithCustomError(dataNFT, "InvalidVersion");
+      await expect(dataNFT.connect(agent).accessDataVersion(1, 0, 0))
+        .to.be.revertedWithCustomError(dataNFT, "InsufficientPayment");
+    });
+  });
+
+  describe("Royalties", function () {
+    const price = ethers.parseEther("100");
+
+    beforeEach(async function () {
+      // 5% royalty, paid to the publisher as the minter
+      await attestDataset(aiVerification, datasetHash, datasetCID, publisher.address);
+      await dataNFT.connect(publisher).mintNFT(
+        tokenURI, datasetCID, datasetHash, false,
+        publisher.address, ethers.ZeroAddress, 500
+      );
+      await dataNFT.linkDatatoken(1, await dataToken.getAddress());
+      for (const signer of [buyer, agent]) {
+        await dataToken.transfer(signer.address, price);
+        await dataToken.connect(signer).approve(await dataNFT.getAddress(), price);
+      }
+    });
+
+    it("Should pay the whole price to a creator selling their own NFT", async function () {
+      await dataNFT.connect(publisher).listNFT(1, price);
+
+      const tx = dataNFT.connect(buyer).buyNFT(1);
+      await expect(tx).to.not.emit(dataNFT, "RoyaltyPaid");
+      await expect(tx).to.changeTokenBalances(dataToken, [buyer, publisher], [-price, price]);
+      expect(await dataNFT.ownerOf(1)).to.equal(buyer.address);
+    });
+
+    it("Should split a resale between the creator and the seller", async function () {
+      await dataNFT.connect(publisher).listNFT(1, price);
+      await dataNFT.connect(buyer).buyNFT(1);
+      await dataNFT.connect(buyer).listNFT(1, price);
+
+      const royalty = price * 500n / 10000n;
+      const tx = dataNFT.connect(agent).buyNFT(1);
+      await expect(tx).to.emit(dataNFT, "RoyaltyPaid").withArgs(1, publisher.address, royalty);
+      await expect(tx).to.changeTokenBalances(
+        dataToken, [agent, publisher, buyer], [-price, royalty, price - royalty]
+      );
+      expect(await dataNFT.ownerOf(1)).to.equal(agent.address);
+    });
+  });
+
+  describe("Access grants", function () {
+    beforeEach(async function () {
+      await mintPrivate();
+      await dataToken.transfer(buyer.address, ethers.parseEther("10"));
+      await dataToken.connect(buyer).approve(await dataNFT.getAddress(), ethers.parseEther("10"));
+    });
+
+    it("Should expire paid access after the dataset's access duration", async function () {
+      await dataNFT.connect(publisher).setAccessDuration(1, 3600);
+      await dataNFT.connect(buyer).accessData(1, ethers.parseEther("1"));
+      expect(await dataNFT.hasAccess(1, buyer.address)).to.be.true;
+
+      await time.increase(3601);
+      expect(await dataNFT.hasAccess(1, buyer.address)).to.be.false;
+      await expect(dataNFT.connect(buyer).accessData(1, 0))
+        .to.be.revertedWithCustomError(dataNFT, "InsufficientPayment");
+
+      // Paying again renews the grant
+      await dataNFT.connect(buyer).accessData(1, ethers.parseEther("1"));
+      expect(await dataNFT.hasAccess(1, buyer.address)).to.be.true;
+    });
+
+    it("Should charge at least one whole datatoken when the datatoken has no tiers", async function () {
+      expect(await dataToken.accessTierCount()).to.equal(0);
+      await expect(dataNFT.connect(buyer).accessData(1, 1))
+        .to.be.revertedWithCustomError(dataNFT, "InsufficientPayment");
+      await expect(dataNFT.connect(buyer).accessData(1, ethers.parseEther("1") - 1n))
+        .to.be.revertedWithCustomError(dataNFT, "InsufficientPayment");
+      expect(await dataNFT.hasAccess(1, buyer.address)).to.be.false;
+
+      await expect(dataNFT.connect(buyer).accessData(1, ethers.parseEther("1")))
+        .to.changeTokenBalances(dataToken, [buyer, publisher], [-ethers.parseEther("1"), ethers.parseEther("1")]);
+      expect(await dataNFT.hasAccess(1, buyer.address)).to.be.true;
+    });
+
+    it("Should let the owners revoke grants and list them for audit", async function () {
+      const expiresAt = (await time.latest()) + 86400;
+      await expect(dataNFT.connect(publisher).grantAccess(1, agent.address, expiresAt))
+        .to.emit(dataNFT, "AccessGranted")
+        .withArgs(1, agent.address, expiresAt);
+      await dataNFT.connect(buyer).accessData(1, ethers.parseEther("1"));
+
+      const [users, expiries] = await dataNFT.getAccessGrants(1);
+      expect(users).to.deep.equal([publisher.address, agent.address, buyer.address]);
+      expect(expiries).to.deep.equal([0n, BigInt(expiresAt), 0n]);
+
+      await expect(dataNFT.connect(buyer).revokeAccess(1, agent.address))
+        .to.be.revertedWithCustomError(dataNFT, "NotAuthorized");
+      await expect(dataNFT.connect(publisher).revokeAccess(1, agent.address))
+        .to.emit(dataNFT, "AccessRevoked")
+        .withArgs(1, agent.address, publisher.address);
+      // The contract owner can revoke for policy violations
+      await dataNFT.revokeAccess(1, buyer.address);
+      await expect(dataNFT.revokeAccess(1, buyer.address))
+        .to.be.revertedWithCustomError(dataNFT, "NoAccessGrant");
+
+      expect(await dataNFT.hasAccess(1, buyer.address)).to.be.false;
+      expect((await dataNFT.getAccessGrants(1))[0]).to.deep.equal([publisher.address]);
+    });
+
+    it("Should optionally revoke the seller's access on transfer", async function () {
+      await dataNFT.connect(buyer).accessData(1, ethers.parseEther("1"));
+      await dataNFT.connect(publisher).transferFrom(publisher.address, buyer.address, 1);
+      expect(await dataNFT.hasAccess(1, publisher.address)).to.be.true;
+
+      await dataNFT.setRevokeAccessOnTransfer(true);
+      await dataNFT.connect(buyer).transferFrom(buyer.address, agent.address, 1);
+      expect(await dataNFT.hasAccess(1, buyer.address)).to.be.false;
+      expect(await dataNFT.hasAccess(1, publisher.address)).to.be.true;
+    });
+  });
+
+  describe("Metadata", function () {
+    const metadata = {
+      title: 'Sensor "A" readings',
+      description: "Hourly readings\nfrom 2024",
+      fileFormat: "text/csv",
+      byteSize: 1048576,
+      rowCount: 8760,
+      schemaHash: ethers.id("timestamp,value"),
+      license: "CC-BY-4.0",
+      category: "IoT",
+      tags: ["sensors", "time-series"]
+    };
+
+    let renderer;
+
+    beforeEach(async function () {
+      const DatasetMetadataRenderer = await ethers.getContractFactory("DatasetMetadataRenderer");
+      renderer = await (await DatasetMetadataRenderer.deploy(await dataNFT.getAddress())).waitForDeployment();
+      await dataNFT.setMetadataRenderer(await renderer.getAddress());
+      await mintPrivate();
+    });
+
+    it("Should store structured metadata set by the NFT owner", async function () {
+      await expect(renderer.setDatasetMetadata(1, metadata, false))
+        .to.be.revertedWithCustomError(renderer, "NotTheOwner");
+      await expect(renderer.connect(publisher).setDatasetMetadata(1, { ...metadata, title: "" }, false))
+        .to.be.revertedWithCustomError(renderer, "InvalidMetadata");
+
+      await renderer.connect(publisher).setDatasetMetadata(1, metadata, false);
+      const stored = await renderer.getDatasetMetadata(1);
+      expect(stored.title).to.equal(metadata.title);
+      expect(stored.rowCount).to.equal(8760);
+      expect(stored.tags).to.deep.equal(metadata.tags);
+      expect(await dataNFT.tokenURI(1)).to.equal(tokenURI);
+    });
+
+    it("Should render ERC-721 metadata JSON on-chain when enabled", async function () {
+      await renderer.connect(publisher).setDatasetMetadata(1, metadata, true);
+
+      const uri = await dataNFT.tokenURI(1);
+      expect(uri.startsWith("data:application/json;base64,")).to.be.true;
+      const json = JSON.parse(Buffer.from(uri.split(",")[1], "base64").toString());
+
+      expect(json.name).to.equal(metadata.title);
+      expect(json.description).to.equal(metadata.description);
+      expect(json.dataset_hash).to.equal(datasetHash);
+      expect(json.attributes).to.deep.include({ trait_type: "Row Count", display_type: "number", value: 8760 });
+      expect(json.attributes).to.deep.include({ trait_type: "Schema Hash", value: metadata.schemaHash });
+      expect(json.attributes.filter((a) => a.trait_type === "Tag").map((a) => a.value))
+        .to.deep.equal(metadata.tags);
+    });
+  });
+
+  describe("Gated content", function () {
+    const gateway = ethers.Wallet.createRandom().address;
+    const otherGateway = ethers.Wallet.createRandom().address;
+
+    beforeEach(async function () {
+      await mintPrivate();
+    });
+
+    it("Should serve tokenURI to any caller", async function () {
+      expect(await dataNFT.connect(buyer).tokenURI(1)).to.equal(tokenURI);
+    });
+
+    it("Should verify signed access proofs against grants and the balance threshold", async function () {
+      const deadline = (await time.latest()) + 300;
+      const proof = await signAccessProof(buyer, dataNFT, 1, gateway, deadline);
+      expect(await verifyAccessProof(dataNFT, proof, gateway)).to.be.false;
+
+      // Holding one whole datatoken unlocks content until the owner sets another threshold
+      await dataToken.transfer(buyer.address, ethers.parseEther("1"));
+      expect(await verifyAccessProof(dataNFT, proof, gateway)).to.be.true;
+      await expect(dataNFT.setAccessBalanceThreshold(1, ethers.parseEther("5")))
+        .to.be.revertedWithCustomError(dataNFT, "NotTheOwner");
+      await dataNFT.connect(publisher).setAccessBalanceThreshold(1, ethers.parseEther("5"));
+      expect(await verifyAccessProof(dataNFT, proof, gateway)).to.be.false;
+      await dataToken.transfer(buyer.address, ethers.parseEther("4"));
+      expect(await verifyAccessProof(dataNFT, proof, gateway)).to.be.true;
+
+      await dataNFT.connect(publisher).setAccessBalanceThreshold(1, ethers.MaxUint256);
+      expect(await verifyAccessProof(dataNFT, proof, gateway)).to.be.false;
+      await dataNFT.connect(publisher).setAccessBalanceThreshold(1, 0);
+      expect(await verifyAccessProof(dataNFT, proof, gateway)).to.be.true;
+
+      // A proof is bound to its signer and gateway and expires at its deadline
+      const forged = { ...proof, holder: publisher.address };
+      expect(await verifyAccessProof(dataNFT, forged, gateway)).to.be.false;
+      expect(await verifyAccessProof(dataNFT, proof, otherGateway)).to.be.false;
+      await time.increaseTo(deadline + 1);
+      expect(await verifyAccessProof(dataNFT, proof, gateway)).to.be.false;
+    });
+
+    it("Should scale the default balance threshold to the datatoken's decimals", async function () {
+      const DataToken = await ethers.getContractFactory("DataToken");
+      const sixDecimals = await DataToken.deploy("Six Decimals", "SIX", ethers.parseUnits("1000", 6), 0, 6);
+      const otherHash = ethers.keccak256(ethers.toUtf8Bytes("other-dataset"));
+      await attestDataset(aiVerification, otherHash, "ipfs://QmOther", publisher.address);
+      await dataNFT.connect(publisher).mintNFT(
+        tokenURI, "ipfs://QmOther", otherHash, false, publisher.address, ethers.ZeroAddress, 0
+      );
+      await dataNFT.linkDatatoken(2, await sixDecimals.getAddress());
+
+      await sixDecimals.transfer(buyer.address, ethers.parseUnits("1", 6) - 1n);
+      expect(await dataNFT.hasGatedAccess(2, buyer.address)).to.be.false;
+      await sixDecimals.transfer(buyer.address, 1);
+      expect(await dataNFT.hasGatedAccess(2, buyer.address)).to.be.true;
+    });
+
+    it("Should accept proofs from access grant holders", async function () {
+      const deadline = (await time.latest()) + 300;
+      await dataNFT.connect(publisher).grantAccess(1, agent.address, 0);
+      expect(await verifyAccessProof(dataNFT, await signAccessProof(agent, dataNFT, 1, gateway, deadline), gateway)).to.be.true;
+      expect(await dataNFT.hasGatedAccess(1, buyer.address)).to.be.false;
+    });
+  });
+
+  describe("Lineage", function () {
+    const derivedHash = ethers.keccak256(ethers.toUtf8Bytes("test-dataset-cleaned"));
+    const derivedCID = "ipfs://QmTestDatasetCleaned";
+    let lineage;
+
+    const mintDerivative = (parentIds, allowsDerivatives) =>
+      dataNFT.connect(agent)["mintNFT(string,string,bytes32,bool,address,address,uint96,uint256[],bool)"](
+        tokenURI, derivedCID, derivedHash, false,
+        agent.address, ethers.ZeroAddress, 0, parentIds, allowsDerivatives
+      );
+
+    beforeEach(async function () {
+      const DatasetLineage = await ethers.getContractFactory("DatasetLineage");
+      lineage = await (await DatasetLineage.deploy(await dataNFT.getAddress())).waitForDeployment();
+      await dataNFT.setLineage(await lineage.getAddress());
+      await mintPrivate();
+      await attestDataset(aiVerification, derivedHash, derivedCID, agent.address);
+    });
+
+    it("Should only derive from licensed parents and record the graph both ways", async function () {
+      await expect(mintDerivative([1], false))
+        .to.be.revertedWithCustomError(lineage, "DerivativesNotAllowed")
+        .withArgs(1);
+      await expect(lineage.recordDerivative(5, [], true))
+        .to.be.revertedWithCustomError(lineage, "NotDataNFT");
+
+      await lineage.connect(publisher).setAllowsDerivatives(1, true);
+      await expect(mintDerivative([1, 1], false))
+        .to.be.revertedWithCustomError(lineage, "InvalidParent");
+      await expect(mintDerivative([1], false))
+        .to.emit(lineage, "DerivativeRecorded")
+        .withArgs(2, [1]);
+
+      expect(await lineage.getParents(2)).to.deep.equal([1n]);
+      expect(await lineage.getChildren(1)).to.deep.equal([2n]);
+      expect(await lineage.allowsDerivatives(2)).to.be.false;
+    });
+
+    it("Should pay parent owners their share of a derivative sale", async function () {
+      await lineage.connect(publisher).setAllowsDerivatives(1, true);
+      await mintDerivative([1], true);
+      await dataNFT.linkDatatoken(2, await dataToken.getAddress());
+      await lineage.setUpstreamShareBps(1000);
+
+      const salePrice = ethers.parseEther("10");
+      await dataNFT.connect(agent).listNFT(2, salePrice);
+      await dataToken.transfer(buyer.address, salePrice);
+      await dataToken.connect(buyer).approve(await dataNFT.getAddress(), salePrice);
+
+      await expect(dataNFT.connect(buyer).buyNFT(2))
+        .to.emit(dataNFT, "UpstreamRoyaltyPaid")
+        .withArgs(2, publisher.address, salePrice / 10n);
+      expect(await dataToken.balanceOf(publisher.address)).to.equal(salePrice / 10n);
+      expect(await dataToken.balanceOf(agent.address)).to.equal(salePrice - salePrice / 10n);
+    });
+  });
+
+  describe("Emergency controls", function () {
+    beforeEach(async function () {
+      await mintPrivate();
+      await dataToken.transfer(buyer.address, ethers.parseEther("10"));
+      await dataToken.connect(buyer).approve(await dataNFT.getAddress(), ethers.parseEther("10"));
+      await dataNFT.connect(publisher).listNFT(1, ethers.parseEther("5"));
+      await dataToken.setAssociatedNFT(await dataNFT.getAddress(), 1);
+      await dataToken.addAccessTier("Download", ethers.parseEther("1"), 0, false);
+    });
+
+    it("Should halt minting, trading and paid access while paused", async function () {
+      await expect(dataNFT.connect(publisher).pause())
+        .to.be.revertedWith("Ownable: caller is not the owner");
+      await dataNFT.pause();
+
+      const otherHash = ethers.keccak256(ethers.toUtf8Bytes("other-dataset"));
+      await attestDataset(aiVerification, otherHash, "ipfs://QmOther", publisher.address);
+      await expect(dataNFT.connect(publisher).mintNFT(
+        tokenURI, "ipfs://QmOther", otherHash, false, publisher.address, ethers.ZeroAddress, 0
+      )).to.be.revertedWith("Pausable: paused");
+      await expect(dataNFT.connect(buyer).buyNFT(1)).to.be.revertedWith("Pausable: paused");
+      await expect(dataNFT.connect(buyer).accessData(1, ethers.parseEther("1")))
+        .to.be.revertedWith("Pausable: paused");
+      await expect(dataToken.connect(buyer).redeemAccessTier(0, 1))
+        .to.be.revertedWithCustomError(dataToken, "AccessPaused");
+
+      await dataNFT.unpause();
+      await dataNFT.connect(buyer).buyNFT(1);
+      expect(await dataNFT.ownerOf(1)).to.equal(buyer.address);
+    });
+
+    it("Should freeze listing and access under a takedown while keeping ownership", async function () {
+      await expect(dataNFT.connect(publisher).freezeDataset(1, 1, "ipfs://QmNotice"))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(dataNFT.freezeDataset(1, 0, "ipfs://QmNotice"))
+        .to.be.revertedWithCustomError(dataNFT, "InvalidReasonCode");
+      await expect(dataNFT.freezeDataset(1, 451, "ipfs://QmNotice"))
+        .to.emit(dataNFT, "DatasetFrozen")
+        .withArgs(1, 451, "ipfs://QmNotice");
+
+      expect(await dataNFT.ownerOf(1)).to.equal(publisher.address);
+      expect((await dataNFT.listings(1)).isActive).to.be.false;
+      expect(await dataNFT.hasAccess(1, publisher.address)).to.be.false;
+      expect(await dataNFT.hasGatedAccess(1, publisher.address)).to.be.false;
+      await expect(dataNFT.connect(publisher).listNFT(1, 1))
+        .to.be.revertedWithCustomError(dataNFT, "DatasetIsFrozen")
+        .withArgs(451);
+      await expect(dataNFT.connect(buyer).accessData(1, ethers.parseEther("1")))
+        .to.be.revertedWithCustomError(dataNFT, "DatasetIsFrozen");
+      await expect(dataToken.connect(buyer).redeemAccessTier(0, 1))
+        .to.be.revertedWithCustomError(dataToken, "DatasetIsFrozen")
+        .withArgs(451);
+      await expect(dataNFT.connect(publisher).datasetCIDs(1))
+        .to.be.revertedWithCustomError(dataNFT, "DatasetIsFrozen")
+        .withArgs(451);
+
+      await expect(dataNFT.unfreezeDataset(1)).to.emit(dataNFT, "DatasetUnfrozen").withArgs(1);
+      expect(await dataNFT.datasetCIDs(1)).to.equal(datasetCID);
+      await expect(dataNFT.unfreezeDataset(1)).to.be.revertedWithCustomError(dataNFT, "NotFrozen");
+      expect(await dataNFT.hasAccess(1, publisher.address)).to.be.true;
+      await dataToken.connect(buyer).redeemAccessTier(0, 1);
+      expect(await dataNFT.hasAccess(1, buyer.address)).to.be.true;
+    });
+  });
+
+  describe("Key delivery", function () {
+    let vault;
+
+    beforeEach(async function () {
+      const DatasetKeyVault = await ethers.getContractFactory("DatasetKeyVault");
+      vault = await (await DatasetKeyVault.deploy(await dataNFT.getAddress())).waitForDeployment();
+      await mintPrivate();
+    });
+
+    it("Should never expose the dataset key through accessData", async function () {
+      expect(await dataNFT.isPrivateDataset(1)).to.be.true;
+      expect(await dataNFT.connect(publisher).accessData.staticCall(1, 0)).to.equal(datasetCID);
+    });
+
+    it("Should deliver an encrypted key envelope to an entitled buyer", async function () {
+      const datasetKey = ethers.hexlify(ethers.randomBytes(32));
+      const buyerKeys = generateEncryptionKeyPair();
+      await vault.connect(buyer).registerEncryptionKey(buyerKeys.publicKey);
+
+      const envelope = encryptEnvelope(await vault.encryptionPublicKeys(buyer.address), datasetKey);
+      await expect(vault.connect(publisher).postKeyEnvelope(1, buyer.address, envelope))
+        .to.be.revertedWithCustomError(vault, "NoAccess");
+
+      // Buy access with datatokens, then let an agent release the key
+      await dataToken.transfer(buyer.address, ethers.parseEther("1"));
+      await dataToken.connect(buyer).approve(await dataNFT.getAddress(), ethers.parseEther("1"));
+      await dataNFT.connect(buyer).accessData(1, ethers.parseEther("1"));
+
+      await expect(vault.connect(agent).postKeyEnvelope(1, buyer.address, envelope))
+        .to.be.revertedWithCustomError(vault, "NotAuthorized");
+      await vault.connect(publisher).setKeyReleaseAgent(agent.address, true);
+      await expect(vault.connect(agent).postKeyEnvelope(1, buyer.address, envelope))
+        .to.emit(vault, "KeyEnvelopePosted");
+
+      const posted = await vault.getKeyEnvelope(1, buyer.address);
+      expect(decryptEnvelope(buyerKeys.privateKey, posted)).to.equal(datasetKey);
+      expect(() => decryptEnvelope(generateEncryptionKeyPair().privateKey, posted)).to.throw();
+    });
+  });
+});
@@ -0,0 +1,329 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { attestDataset } = require("../scripts/lib/attest-dataset");
+
+describe("DataToken", function () {
+  let DataToken;
+  let owner, publisher, buyer, trader, escrow;
+
+  const LINEAR = 1;
+  const EXPONENTIAL = 2;
+  const startPrice = ethers.parseEther("0.01");
+  const tokens = (n) => ethers.parseEther(n.toString());
+
+  beforeEach(async function () {
+    [owner, publisher, buyer, trader, escrow] = await ethers.getSigners();
+    DataToken = await ethers.getContractFactory("DataToken");
+  });
+
+  async function deployToken(initialSupply = 0) {
+    return (await DataToken.deploy("DataToken", "DTK", initialSupply, startPrice, 18)).waitForDeployment();
+  }
+
+  // Mint a dataset NFT to the publisher
+  async function deployDataNFT() {
+    const DataNFT = await ethers.getContractFactory("DataNFT");
+    const dataNFT = await (await DataNFT.deploy()).waitForDeployment();
+    const AIVerification = await ethers.getContractFactory("AIVerification");
+    const aiVerification = await (await AIVerification.deploy(await dataNFT.getAddress())).waitForDeployment();
+    await dataNFT.setAIVerificationContract(await aiVerification.getAddress());
+
+    const datasetHash = ethers.keccak256(ethers.toUtf8Bytes("token-dataset"));
+    await attestDataset(aiVerification, datasetHash, "ipfs://QmTokenDataset", publisher.address);
+    await dataNFT.connect(publisher).mintNFT(
+      "ipfs://QmTokenMetadata", "ipfs://QmTokenDataset", datasetHash, false,
+      publisher.address, ethers.ZeroAddress, 0
+    );
+    return dataNFT;
+  }
+
+  describe("Bonding curve", function () {
+    it("Should price a linear curve by the area under it and buy tokens back from the reserve", async function () {
+      const dataToken = await deployToken();
+      const slope = ethers.parseEther("0.001"); // +0.001 ETH per token sold
+      await expect(dataToken.enableBondingCurve(LINEAR, slope))
+        .to.emit(dataToken, "BondingCurveEnabled")
+        .withArgs(LINEAR, slope);
+
+      // 0.01 * 10 + 0.001 * 10^2 / 2
+      expect(await dataToken.quoteBuy(tokens(10))).to.equal(ethers.parseEther("0.15"));
+      await expect(dataToken.connect(buyer).buyTokens(tokens(10), { value: ethers.parseEther("1") }))
+        .to.changeEtherBalance(buyer, -ethers.parseEther("0.15"));
+      expect(await dataToken.currentPrice()).to.equal(ethers.parseEther("0.02"));
+
+      // The next 10 tokens cost more
+      expect(await dataToken.quoteBuy(tokens(10))).to.equal(ethers.parseEther("0.25"));
+      await dataToken.connect(trader).buyTokens(tokens(10), { value: ethers.parseEther("0.25") });
+      expect(await dataToken.reserveBalance()).to.equal(ethers.parseEther("0.4"));
+
+      await expect(dataToken.connect(buyer).sellTokens(tokens(10), ethers.parseEther("0.26")))
+        .to.be.revertedWithCustomError(dataToken, "SlippageExceeded");
+      await expect(dataToken.connect(buyer).sellTokens(tokens(10), ethers.parseEther("0.25")))
+        .to.emit(dataToken, "TokensSold")
+        .withArgs(buyer.address, tokens(10), ethers.parseEther("0.25"));
+      expect(await dataToken.totalSupply()).to.equal(tokens(10));
+
+      // The reserve still backs the remaining supply and cannot be withdrawn
+      expect(await dataToken.quoteSell(tokens(10))).to.equal(ethers.parseEther("0.15"));
+      expect(await dataToken.reserveBalance()).to.equal(ethers.parseEther("0.15"));
+      await expect(dataToken.withdrawEther()).to.be.revertedWithCustomError(dataToken, "NoEtherToWithdraw");
+    });
+
+    it("Should price an exponential curve and return the whole reserve when fully sold", async function () {
+      const dataToken = await deployToken();
+      await dataToken.enableBondingCurve(EXPONENTIAL, ethers.parseEther("0.1")); // e^(0.1) per token
+
+      // 0.01 * (e^1 - 1) / 0.1
+      const cost = await dataToken.quoteBuy(tokens(10));
+      expect(cost).to.be.closeTo(ethers.parseEther("0.171828182845904523"), 1000n);
+      await dataToken.connect(buyer).buyTokens(tokens(10), { value: cost });
+      expect(await dataToken.currentPrice()).to.be.closeTo(ethers.parseEther("0.027182818284590452"), 1000n);
+
+      await dataToken.connect(buyer).sellTokens(tokens(10), cost);
+      expect(await dataToken.reserveBalance()).to.equal(0);
+      expect(await ethers.provider.getBalance(await dataToken.getAddress())).to.equal(0);
+
+      // Beyond e^64 the curve stops quoting
+      await expect(dataToken.quoteBuy(tokens(641))).to.be.revertedWithCustomError(dataToken, "CurveOutOfRange");
+    });
+
+    it("Should lock the pricing mode once tokens exist", async function () {
+      const fixedToken = await deployToken(tokens(100));
+      await expect(fixedToken.enableBondingCurve(LINEAR, 1))
+        .to.be.revertedWithCustomError(fixedToken, "PricingLocked");
+      await expect(fixedToken.quoteSell(tokens(1)))
+        .to.be.revertedWithCustomError(fixedToken, "NoBondingCurve");
+
+      const curveToken = await deployToken();
+      await expect(curveToken.enableBondingCurve(0, 1)).to.be.revertedWithCustomError(curveToken, "InvalidCurve");
+      await expect(curveToken.connect(buyer).enableBondingCurve(LINEAR, 1)).to.be.reverted;
+      await curveToken.enableBondingCurve(LINEAR, 1);
+      await expect(curveToken.enableBondingCurve(EXPONENTIAL, 1))
+        .to.be.revertedWithCustomError(curveToken, "PricingLocked");
+      await expect(curveToken.updateTokenPrice(1))
+        .to.be.revertedWithCustomError(curveToken, "PricingLocked");
+    });
+
+    it("Should create curve-priced tokens through the TokenFactory", async function () {
+      const dataNFT = await deployDataNFT();
+
+      // The factory links datatokens, which only the DataNFT owner may do
+      const TokenFactory = await ethers.getContractFactory("TokenFactory");
+      const factory = await (await TokenFactory.deploy(await dataNFT.getAddress())).waitForDeployment();
+      await dataNFT.transferOwnership(await factory.getAddress());
+
+      const slope = ethers.parseEther("0.001");
+      await expect(factory.connect(buyer).createCurveToken(1, "Curve", "CRV", 0, 0, LINEAR, slope))
+        .to.be.revertedWithCustomError(factory, "NotNFTOwner");
+      await factory.connect(publisher).createCurveToken(1, "Curve", "CRV", 0, 0, LINEAR, slope);
+
+      const dataToken = DataToken.attach(await factory.getTokenAddress(1));
+      expect(await dataNFT.getDatatoken(1)).to.equal(await dataToken.getAddress());
+      expect(await dataToken.associatedNFTContract()).to.equal(await dataNFT.getAddress());
+      expect(await dataToken.associatedNFTId()).to.equal(1);
+      expect(await dataToken.owner()).to.equal(publisher.address);
+      expect(await dataToken.excludedFromDividends(await factory.getAddress())).to.be.true;
+      expect(await dataToken.pricingMode()).to.equal(LINEAR);
+      expect(await dataToken.curveParameter()).to.equal(slope);
+      expect(await dataToken.totalSupply()).to.equal(0);
+      expect(await dataToken.tokenPrice()).to.equal(await factory.defaultTokenPrice());
+    });
+  });
+
+  describe("Access tiers", function () {
+    let dataNFT, dataToken;
+    const day = 24 * 60 * 60;
+
+    beforeEach(async function () {
+      dataNFT = await deployDataNFT();
+      dataToken = await deployToken(tokens(1000));
+      await dataNFT.linkDatatoken(1, await dataToken.getAddress());
+      await dataToken.setAssociatedNFT(await dataNFT.getAddress(), 1);
+      await dataToken.transfer(buyer.address, tokens(100));
+
+      await dataToken.addAccessTier("Download", tokens(5), day, false);
+      await dataToken.addAccessTier("Commercial licence", tokens(50), 0, true);
+    });
+
+    it("Should only sell access at a defined, active tier price", async function () {
+      await expect(dataToken.connect(publisher).addAccessTier("Free", 1, 0, false)).to.be.reverted;
+      await expect(dataToken.addAccessTier("Free", 0, 0, false))
+        .to.be.revertedWithCustomError(dataToken, "InvalidTier");
+      await expect(dataToken.connect(buyer).redeemAccessTier(2, 1))
+        .to.be.revertedWithCustomError(dataToken, "InvalidTier");
+
+      await expect(dataToken.setAccessTierActive(0, false))
+        .to.emit(dataToken, "AccessTierStatusChanged")
+        .withArgs(0, false);
+      await expect(dataToken.connect(buyer).redeemAccessTier(0, 1))
+        .to.be.revertedWithCustomError(dataToken, "InvalidTier");
+      expect(await dataToken.accessTierCount()).to.equal(2);
+      expect((await dataToken.getAccessTier(1)).name).to.equal("Commercial licence");
+    });
+
+    it("Should issue expiring receipts that DataNFT honours as access", async function () {
+      await expect(dataToken.connect(buyer).redeemAccessTier(0, 1))
+        .to.changeTokenBalances(dataToken, [buyer, publisher], [-tokens(5), tokens(5)]);
+      const expiresAt = BigInt(await time.latest()) + BigInt(day);
+
+      const receipt = await dataToken.getReceipt(0);
+      expect(receipt.buyer).to.equal(buyer.address);
+      expect(receipt.nftId).to.equal(1);
+      expect(receipt.tierId).to.equal(0);
+      expect(receipt.expiresAt).to.equal(expiresAt);
+      expect(await dataNFT.hasAccess(1, buyer.address)).to.be.true;
+      expect(await dataNFT.connect(buyer).accessData.staticCall(1, 0)).to.equal("ipfs://QmTokenDataset");
+
+      await time.increaseTo(expiresAt);
+      expect(await dataNFT.hasAccess(1, buyer.address)).to.be.false;
+      await expect(dataNFT.connect(buyer).accessData(1, 0))
+        .to.be.revertedWithCustomError(dataNFT, "InsufficientPayment");
+    });
+
+    it("Should burn the tokens of burning tiers and grant permanent access", async function () {
+      const supply = await dataToken.totalSupply();
+      await expect(dataToken.connect(buyer).redeemAccessTier(1, 1))
+        .to.emit(dataToken, "ConsumptionReceiptIssued")
+        .withArgs(0, 1, buyer.address, 1, tokens(50), ethers.MaxUint256);
+      expect(await dataToken.totalSupply()).to.equal(supply - tokens(50));
+      expect(await dataToken.balanceOf(publisher.address)).to.equal(0);
+
+      // A later short-lived receipt does not cut permanent access short
+      await dataToken.connect(buyer).redeemAccessTier(0, 1);
+      await time.increase(2 * day);
+      expect(await dataNFT.hasAccess(1, buyer.address)).to.be.true;
+      expect(await dataToken.getReceiptsByBuyer(buyer.address)).to.deep.equal([0n, 1n]);
+      expect(await dataToken.receiptCount()).to.equal(2);
+    });
+
+    it("Should redeem the tier matching an amount through redeemForAccess", async function () {
+      await expect(dataToken.connect(buyer).redeemForAccess(tokens(1), 1))
+        .to.be.revertedWithCustomError(dataToken, "InvalidTier");
+
+      const [cid, key] = await dataToken.connect(buyer).redeemForAccess.staticCall(tokens(50), 1);
+      expect(cid).to.equal("ipfs://QmTokenDataset");
+      expect(key).to.equal(ethers.ZeroHash);
+      await expect(dataToken.connect(buyer).redeemForAccess(tokens(50), 1))
+        .to.emit(dataToken, "ConsumptionReceiptIssued")
+        .withArgs(0, 1, buyer.address, 1, tokens(50), ethers.MaxUint256);
+
+      await dataToken.setAccessTierActive(0, false);
+      await expect(dataToken.connect(buyer).redeemForAccess(tokens(5), 1))
+        .to.be.revertedWithCustomError(dataToken, "InvalidTier");
+    });
+
+    it("Should refuse direct payments below the tier prices", async function () {
+      await expect(dataNFT.connect(buyer).accessData(1, 1))
+        .to.be.revertedWithCustomError(dataNFT, "UseAccessTiers");
+      await expect(dataNFT.grantTierAccess(1, buyer.address, 0))
+        .to.be.revertedWithCustomError(dataNFT, "NotAuthorized");
+      expect(await dataNFT.hasAccess(1, buyer.address)).to.be.false;
+    });
+
+    it("Should record tier access as grants the NFT owner can audit and revoke", async function () {
+      await expect(dataToken.connect(buyer).redeemAccessTier(1, 1))
+        .to.emit(dataNFT, "AccessGranted")
+        .withArgs(1, buyer.address, 0);
+      const [users, expiries] = await dataNFT.getAccessGrants(1);
+      expect(expiries[users.indexOf(buyer.address)]).to.equal(0);
+
+      await expect(dataNFT.connect(publisher).revokeAccess(1, buyer.address))
+        .to.emit(dataNFT, "AccessRevoked")
+        .withArgs(1, buyer.address, publisher.address);
+      expect(await dataNFT.hasAccess(1, buyer.address)).to.be.false;
+      expect((await dataNFT.getAccessGrants(1))[0]).to.not.include(buyer.address);
+    });
+  });
+
+  describe("Dividends", function () {
+    let dataToken;
+
+    beforeEach(async function () {
+      // The owner keeps 750 tokens and pre-sells 250 to a backer
+      dataToken = await deployToken(tokens(1000));
+      await dataToken.transfer(buyer.address, tokens(250));
+      await expect(dataToken.setDividendShare(5000))
+        .to.emit(dataToken, "DividendShareUpdated")
+        .withArgs(5000);
+    });
+
+    it("Should share primary sales with holders pro-rata, surviving transfers", async function () {
+      await expect(dataToken.connect(trader).buyTokens(tokens(100), { value: ethers.parseEther("1") }))
+        .to.emit(dataToken, "DividendsDistributed")
+        .withArgs(ethers.ZeroAddress, ethers.parseEther("0.5"));
+      expect((await dataToken.dividendsOf(owner.address))[0]).to.be.closeTo(ethers.parseEther("0.375"), 10n);
+      const [buyerDividends] = await dataToken.dividendsOf(buyer.address);
+      expect(buyerDividends).to.be.closeTo(ethers.parseEther("0.125"), 10n);
+      expect((await dataToken.dividendsOf(trader.address))[0]).to.equal(0);
+
+      // Dividends earned stay with the seller; the new holder only earns later distributions
+      await dataToken.connect(buyer).transfer(trader.address, tokens(250));
+      expect((await dataToken.dividendsOf(buyer.address))[0]).to.equal(buyerDividends);
+      expect((await dataToken.dividendsOf(trader.address))[0]).to.equal(0);
+
+      await dataToken.connect(publisher).buyTokens(tokens(100), { value: ethers.parseEther("1") });
+      expect((await dataToken.dividendsOf(trader.address))[0])
+        .to.be.closeTo((ethers.parseEther("0.5") * 350n) / 1100n, 10n);
+
+      await expect(dataToken.connect(buyer).claim())
+        .to.changeEtherBalance(buyer, buyerDividends);
+      await expect(dataToken.connect(buyer).claim()).to.be.revertedWithCustomError(dataToken, "NoDividends");
+
+      // The owner withdraws only the unshared half of the sales
+      await expect(dataToken.withdrawEther()).to.changeEtherBalance(owner, ethers.parseEther("1"));
+      await expect(dataToken.setDividendShare(1000))
+        .to.be.revertedWithCustomError(dataToken, "DividendShareLocked");
+    });
+
+    it("Should split distributions only among holders that are not excluded", async function () {
+      // An escrow contract holds 500 of the owner's tokens
+      await dataToken.transfer(escrow.address, tokens(500));
+      await expect(dataToken.connect(buyer).setDividendExclusion(escrow.address, true)).to.be.reverted;
+      await expect(dataToken.setDividendExclusion(await dataToken.getAddress(), true))
+        .to.be.revertedWithCustomError(dataToken, "InvalidDividendAccount");
+      await expect(dataToken.setDividendExclusion(escrow.address, true))
+        .to.emit(dataToken, "DividendExclusionSet")
+        .withArgs(escrow.address, true);
+
+      // Half of 1 ETH goes to the 500 tokens of the owner and the buyer, none to the escrow
+      await dataToken.connect(trader).buyTokens(tokens(100), { value: ethers.parseEther("1") });
+      const [ownerDividends] = await dataToken.dividendsOf(owner.address);
+      const [buyerDividends] = await dataToken.dividendsOf(buyer.address);
+      expect(ownerDividends).to.be.closeTo(ethers.parseEther("0.25"), 10n);
+      expect(buyerDividends).to.be.closeTo(ethers.parseEther("0.25"), 10n);
+      expect((await dataToken.dividendsOf(escrow.address))[0]).to.equal(0);
+      expect(ownerDividends + buyerDividends).to.be.closeTo(await dataToken.unclaimedDividends(ethers.ZeroAddress), 10n);
+
+      // Tokens leaving the escrow start earning; the escrow earns only once included again
+      await dataToken.connect(escrow).transfer(buyer.address, tokens(250));
+      await dataToken.setDividendExclusion(escrow.address, false);
+      expect((await dataToken.dividendsOf(escrow.address))[0]).to.equal(0);
+      await dataToken.connect(publisher).buyTokens(tokens(100), { value: ethers.parseEther("1") });
+      expect((await dataToken.dividendsOf(escrow.address))[0])
+        .to.be.closeTo((ethers.parseEther("0.5") * 250n) / 1100n, 10n);
+      const [buyerTotal] = await dataToken.dividendsOf(buyer.address);
+      expect(buyerTotal).to.be.closeTo(buyerDividends + (ethers.parseEther("0.5") * 500n) / 1100n, 10n);
+      await expect(dataToken.connect(buyer).claim()).to.changeEtherBalance(buyer, buyerTotal);
+    });
+
+    it("Should share forwarded access fees as datatoken dividends", async function () {
+      const dataNFT = await deployDataNFT();
+      await dataNFT.linkDatatoken(1, await dataToken.getAddress());
+      await dataToken.setAssociatedNFT(await dataNFT.getAddress(), 1);
+      await dataToken.addAccessTier("Download", tokens(10), 0, false);
+
+      await expect(dataToken.connect(buyer).redeemAccessTier(0, 1))
+        .to.changeTokenBalances(dataToken, [buyer, publisher], [-tokens(10), tokens(5)]);
+      expect(await dataToken.unclaimedDividends(await dataToken.getAddress())).to.equal(tokens(5));
+
+      // 750 of the 1000 eligible tokens belong to the owner
+      const [, ownerDividends] = await dataToken.dividendsOf(owner.address);
+      expect(ownerDividends).to.be.closeTo((tokens(5) * 750n) / 1000n, 10n);
+      await expect(dataToken.claim())
+        .to.emit(dataToken, "DividendsClaimed")
+        .withArgs(owner.address, 0, ownerDividends);
+    });
+  });
+});
+
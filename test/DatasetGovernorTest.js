@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { attestDataset } = require("../scripts/lib/attest-dataset");
+
+describe("DatasetGovernor", function () {
+  let dataNFT, aiVerification, dataToken, timelock, governor;
+  let owner, maintainer, alice, bob;
+
+  const minDelay = 3600;
+  const votingDelay = 1;
+  const votingPeriod = 20;
+  const tokens = (n) => ethers.parseEther(n.toString());
+  const FOR = 1;
+  const AGAINST = 0;
+
+  beforeEach(async function () {
+    [owner, maintainer, alice, bob] = await ethers.getSigners();
+
+    const DataNFT = await ethers.getContractFactory("DataNFT");
+    dataNFT = await (await DataNFT.deploy()).waitForDeployment();
+    const AIVerification = await ethers.getContractFactory("AIVerification");
+    aiVerification = await (await AIVerification.deploy(await dataNFT.getAddress())).waitForDeployment();
+    await dataNFT.setAIVerificationContract(await aiVerification.getAddress());
+
+    const datasetHash = ethers.keccak256(ethers.toUtf8Bytes("community-dataset"));
+    await attestDataset(aiVerification, datasetHash, "ipfs://QmCommunityV1", maintainer.address);
+    await dataNFT.connect(maintainer).mintNFT(
+      "ipfs://QmCommunityMetadata", "ipfs://QmCommunityV1", datasetHash, false,
+      maintainer.address, ethers.ZeroAddress, 0
+    );
+
+    const GovernedDataToken = await ethers.getContractFactory("GovernedDataToken");
+    dataToken = await (await GovernedDataToken.connect(maintainer).deploy(
+      "Community Dataset Token", "CDT", tokens(1000), ethers.parseEther("0.01"), 18
+    )).waitForDeployment();
+    await dataNFT.linkDatatoken(1, await dataToken.getAddress());
+
+    // Anyone may execute a queued proposal; only the governor may queue one
+    const TimelockController = await ethers.getContractFactory("TimelockController");
+    timelock = await (await TimelockController.connect(maintainer).deploy(
+      minDelay, [], [ethers.ZeroAddress]
+    )).waitForDeployment();
+    const DatasetGovernor = await ethers.getContractFactory("DatasetGovernor");
+    governor = await (await DatasetGovernor.deploy(
+      "Community Dataset Governor", await dataToken.getAddress(), await timelock.getAddress(),
+      votingDelay, votingPeriod, 0, 10
+    )).waitForDeployment();
+
+    await timelock.connect(maintainer).grantRole(await timelock.PROPOSER_ROLE(), await governor.getAddress());
+    await timelock.connect(maintainer).renounceRole(await timelock.TIMELOCK_ADMIN_ROLE(), maintainer.address);
+
+    // The maintainer hands the token and the dataset over to the timelock
+    await dataToken.connect(maintainer).transferOwnership(await timelock.getAddress());
+    await dataNFT.connect(maintainer).transferFrom(maintainer.address, await timelock.getAddress(), 1);
+
+    await dataToken.connect(maintainer).transfer(alice.address, tokens(300));
+    await dataToken.connect(maintainer).transfer(bob.address, tokens(200));
+  });
+
+  async function propose(proposer, calls, description) {
+    const targets = calls.map((call) => call.target);
+    const values = calls.map(() => 0);
+    const calldatas = calls.map((call) => call.data);
+    await governor.connect(proposer).propose(targets, values, calldatas, description);
+    const descriptionHash = ethers.id(description);
+    const proposalId = await governor.hashProposal(targets, values, calldatas, descriptionHash);
+    return { proposalId, args: [targets, values, calldatas, descriptionHash] };
+  }
+
+  it("Should only count delegated tokens as votes", async function () {
+    expect(await dataToken.getVotes(alice.address)).to.equal(0);
+
+    await dataToken.connect(alice).delegate(alice.address);
+    await dataToken.connect(bob).delegate(alice.address);
+    expect(await dataToken.getVotes(alice.address)).to.equal(tokens(500));
+
+    await dataToken.connect(bob).transfer(maintainer.address, tokens(50));
+    expect(await dataToken.getVotes(alice.address)).to.equal(tokens(450));
+  });
+
+  it("Should change the price and publish a new version only through an executed proposal", async function () {
+    await expect(dataToken.connect(maintainer).updateTokenPrice(ethers.parseEther("1")))
+      .to.be.revertedWith("Ownable: caller is not the owner");
+
+    const newHash = ethers.keccak256(ethers.toUtf8Bytes("community-dataset-v2"));
+    await attestDataset(aiVerification, newHash, "ipfs://QmCommunityV2", await timelock.getAddress());
+
+    await dataToken.connect(alice).delegate(alice.address);
+    const newPrice = ethers.parseEther("0.02");
+    const { proposalId, args } = await propose(alice, [
+      { target: await dataToken.getAddress(), data: dataToken.interface.encodeFunctionData("updateTokenPrice", [newPrice]) },
+      {
+        target: await dataNFT.getAddress(),
+        data: dataNFT.interface.encodeFunctionData("publishVersion", [1, "ipfs://QmCommunityV2", newHash, "ipfs://QmChangelog"])
+      }
+    ], "Reprice and publish v2");
+
+    await mine(votingDelay + 1);
+    await governor.connect(alice).castVote(proposalId, FOR);
+    await mine(votingPeriod);
+
+    await governor.queue(...args);
+    await expect(governor.execute(...args))
+      .to.be.revertedWith("TimelockController: operation is not ready");
+
+    await time.increase(minDelay);
+    await expect(governor.execute(...args))
+      .to.emit(dataToken, "TokenPriceUpdated")
+      .withArgs(newPrice);
+
+    expect(await dataToken.tokenPrice()).to.equal(newPrice);
+    expect(await dataNFT.datasetCIDs(1)).to.equal("ipfs://QmCommunityV2");
+  });
+
+  it("Should defeat proposals that are voted down or miss quorum", async function () {
+    await dataToken.connect(alice).delegate(alice.address);
+    await dataToken.connect(maintainer).delegate(maintainer.address);
+    const setMaxSupply = {
+      target: await dataToken.getAddress(),
+      data: dataToken.interface.encodeFunctionData("setMaxSupply", [tokens(1000)])
+    };
+
+    // The maintainer still holds the largest stake and can outvote a single holder
+    const voted = await propose(alice, [setMaxSupply], "Cap the supply");
+    await mine(votingDelay + 1);
+    await governor.connect(alice).castVote(voted.proposalId, FOR);
+    await governor.connect(maintainer).castVote(voted.proposalId, AGAINST);
+    await mine(votingPeriod);
+    expect(await governor.state(voted.proposalId)).to.equal(3); // Defeated
+
+    // Bob never delegated, so his vote carries no weight and quorum (100 tokens) is not met
+    const unattended = await propose(alice, [setMaxSupply], "Cap the supply again");
+    await mine(votingDelay + 1);
+    await governor.connect(bob).castVote(unattended.proposalId, FOR);
+    await mine(votingPeriod);
+    expect(await governor.state(unattended.proposalId)).to.equal(3);
+    await expect(governor.queue(...unattended.args))
+      .to.be.revertedWith("Governor: proposal not successful");
+  });
+});
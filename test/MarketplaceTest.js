@@ -0,0 +1,817 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { attestDataset } = require("../scripts/lib/attest-dataset");
+
+describe("Marketplace", function () {
+  let dataNFT, dataToken, mockLink, marketplace, aiVerification;
+  let owner, publisher, seller, buyer;
+  let datasetHash, datasetCID, tokenURI;
+
+  const price = ethers.parseEther("100");
+
+  beforeEach(async function () {
+    [owner, publisher, seller, buyer] = await ethers.getSigners();
+
+    const DataNFT = await ethers.getContractFactory("DataNFT");
+    dataNFT = await (await DataNFT.deploy()).waitForDeployment();
+
+    const DataToken = await ethers.getContractFactory("DataToken");
+    dataToken = await (await DataToken.deploy(
+      "DataToken",
+      "DTK",
+      ethers.parseEther("10000"),
+      ethers.parseEther("0.01"),
+      18
+    )).waitForDeployment();
+
+    const MockLINK = await ethers.getContractFactory("MockLINK");
+    mockLink = await (await MockLINK.deploy()).waitForDeployment();
+
+    const Marketplace = await ethers.getContractFactory("Marketplace");
+    marketplace = await (await Marketplace.deploy(
+      await mockLink.getAddress(),
+      await dataNFT.getAddress()
+    )).waitForDeployment();
+
+    datasetHash = ethers.keccak256(ethers.toUtf8Bytes("test-dataset"));
+    datasetCID = "ipfs://QmTestDataset";
+    tokenURI = "https://metadata.example.com/nft/1";
+
+    const AIVerification = await ethers.getContractFactory("AIVerification");
+    aiVerification = await (await AIVerification.deploy(await dataNFT.getAddress())).waitForDeployment();
+    await dataNFT.setAIVerificationContract(await aiVerification.getAddress());
+
+    await mockLink.mint(buyer.address, ethers.parseEther("1000"));
+  });
+
+  // Attest a dataset for its publisher and mint it from their account
+  async function mintAttested(recipient, cid, hash, royaltyBps = 0) {
+    await attestDataset(aiVerification, hash, cid, recipient.address);
+    return dataNFT.connect(recipient).mintNFT(
+      tokenURI, cid, hash, false,
+      recipient.address, ethers.ZeroAddress, royaltyBps
+    );
+  }
+
+  // Mint token 1 to the publisher with a 5% royalty, then move it to the seller
+  async function mintAndList(royaltyBps = 500) {
+    await mintAttested(publisher, datasetCID, datasetHash, royaltyBps);
+    await dataNFT.linkDatatoken(1, await dataToken.getAddress());
+    await dataNFT.connect(publisher).transferFrom(publisher.address, seller.address, 1);
+
+    await dataNFT.connect(seller).approve(await marketplace.getAddress(), 1);
+    await marketplace.connect(seller).listDataset(1, price);
+  }
+
+  describe("Royalties", function () {
+    it("Should split a resale between the royalty receiver and the seller", async function () {
+      await mintAndList(500);
+      await mockLink.connect(buyer).approve(await marketplace.getAddress(), price);
+
+      const royalty = (price * 500n) / 10000n;
+      await expect(marketplace.connect(buyer).buyDataset(1))
+        .to.emit(marketplace, "RoyaltyPaid")
+        .withArgs(1, publisher.address, royalty);
+
+      expect(await mockLink.balanceOf(publisher.address)).to.equal(royalty);
+      expect(await mockLink.balanceOf(seller.address)).to.equal(price - royalty);
+      expect(await dataNFT.ownerOf(1)).to.equal(buyer.address);
+    });
+
+    it("Should reject royalties above the global maximum", async function () {
+      await expect(mintAttested(publisher, datasetCID, datasetHash, 1001))
+        .to.be.revertedWithCustomError(dataNFT, "RoyaltyTooHigh");
+    });
+  });
+
+  describe("Platform fee", function () {
+    it("Should deduct the fee and let the treasury withdraw it", async function () {
+      await marketplace.setFeeBps(250);
+      await marketplace.setTreasury(owner.address);
+      await mintAndList(500);
+      await mockLink.connect(buyer).approve(await marketplace.getAddress(), price);
+
+      const fee = (price * 250n) / 10000n;
+      const royalty = (price * 500n) / 10000n;
+      await expect(marketplace.connect(buyer).buyDataset(1))
+        .to.emit(marketplace, "MarketplaceFeeCollected")
+        .withArgs(1, fee);
+
+      expect(await mockLink.balanceOf(seller.address)).to.equal(price - fee - royalty);
+      const linkAddress = await mockLink.getAddress();
+      expect(await marketplace.accruedFees(linkAddress)).to.equal(fee);
+
+      await expect(marketplace.connect(seller).withdrawFees(linkAddress))
+        .to.be.revertedWithCustomError(marketplace, "NotTreasury");
+
+      const before = await mockLink.balanceOf(owner.address);
+      await marketplace.withdrawFees(linkAddress);
+      expect(await mockLink.balanceOf(owner.address)).to.equal(before + fee);
+      expect(await marketplace.accruedFees(linkAddress)).to.equal(0);
+    });
+
+    it("Should bound the fee and restrict who can set it", async function () {
+      await expect(marketplace.setFeeBps(1001))
+        .to.be.revertedWithCustomError(marketplace, "FeeTooHigh");
+      await expect(marketplace.connect(seller).setFeeBps(100)).to.be.reverted;
+    });
+  });
+
+  describe("Offers", function () {
+    it("Should escrow offers and settle the accepted one", async function () {
+      await mintAndList(0);
+      const marketplaceAddress = await marketplace.getAddress();
+      const amount = ethers.parseEther("60");
+      const expiresAt = (await time.latest()) + 3600;
+
+      await mockLink.mint(publisher.address, ethers.parseEther("1000"));
+      await mockLink.connect(buyer).approve(marketplaceAddress, amount);
+      await mockLink.connect(publisher).approve(marketplaceAddress, amount - 1n);
+      await marketplace.connect(buyer).makeOffer(1, amount, expiresAt);
+      await marketplace.connect(publisher).makeOffer(1, amount - 1n, expiresAt);
+      expect(await mockLink.balanceOf(marketplaceAddress)).to.equal(amount * 2n - 1n);
+
+      const [found, offerId, best] = await marketplace.getBestOffer(1);
+      expect(found).to.be.true;
+      expect(offerId).to.equal(0);
+      expect(best.bidder).to.equal(buyer.address);
+
+      await expect(marketplace.connect(seller).acceptOffer(1, 0))
+        .to.emit(marketplace, "OfferAccepted")
+        .withArgs(1, 0, seller.address, buyer.address, amount);
+      expect(await dataNFT.ownerOf(1)).to.equal(buyer.address);
+      expect(await mockLink.balanceOf(seller.address)).to.equal(amount);
+      expect((await marketplace.datasets(1)).isForSale).to.be.false;
+
+      // The losing bid can be reclaimed once it expires
+      await expect(marketplace.connect(publisher).withdrawOffer(1, 1))
+        .to.be.revertedWithCustomError(marketplace, "OfferStillActive");
+      await time.increaseTo(expiresAt);
+      await marketplace.connect(publisher).withdrawOffer(1, 1);
+      expect(await mockLink.balanceOf(marketplaceAddress)).to.equal(0);
+    });
+
+    it("Should let bidders withdraw rejected offers", async function () {
+      await mintAndList(0);
+      const amount = ethers.parseEther("10");
+      await mockLink.connect(buyer).approve(await marketplace.getAddress(), amount);
+      await marketplace.connect(buyer).makeOffer(1, amount, (await time.latest()) + 3600);
+
+      await expect(marketplace.connect(buyer).rejectOffer(1, 0))
+        .to.be.revertedWithCustomError(marketplace, "NotOwner");
+      await marketplace.connect(seller).rejectOffer(1, 0);
+
+      const before = await mockLink.balanceOf(buyer.address);
+      await marketplace.connect(buyer).withdrawOffer(1, 0);
+      expect(await mockLink.balanceOf(buyer.address)).to.equal(before + amount);
+      await expect(marketplace.connect(seller).acceptOffer(1, 0))
+        .to.be.revertedWithCustomError(marketplace, "OfferNotActive");
+    });
+  });
+
+  describe("Auctions", function () {
+    let auction;
+
+    beforeEach(async function () {
+      const DatasetAuction = await ethers.getContractFactory("DatasetAuction");
+      auction = await (await DatasetAuction.deploy(await marketplace.getAddress())).waitForDeployment();
+      await marketplace.grantRole(await marketplace.AUCTION_ROLE(), await auction.getAddress());
+
+      await mintAndList(0);
+      await mockLink.mint(publisher.address, ethers.parseEther("1000"));
+      for (const bidder of [buyer, publisher]) {
+        await mockLink.connect(bidder).approve(await auction.getAddress(), ethers.MaxUint256);
+      }
+    });
+
+    it("Should run an English auction with refunds and anti-sniping", async function () {
+      await auction.connect(seller).createEnglishAuction(1, ethers.parseEther("10"), ethers.parseEther("1"), 3600);
+
+      await expect(auction.connect(buyer).bid(1, ethers.parseEther("9")))
+        .to.be.revertedWithCustomError(auction, "BidTooLow");
+      await auction.connect(buyer).bid(1, ethers.parseEther("10"));
+      await expect(auction.connect(publisher).bid(1, ethers.parseEther("10.5")))
+        .to.be.revertedWithCustomError(auction, "BidTooLow");
+
+      // A bid in the last minutes extends the auction
+      const { endTime } = await auction.auctions(1);
+      await time.increaseTo(endTime - 60n);
+      await auction.connect(publisher).bid(1, ethers.parseEther("12"));
+      expect((await auction.auctions(1)).endTime).to.be.greaterThan(endTime);
+      expect(await auction.pendingReturns(buyer.address)).to.equal(ethers.parseEther("10"));
+
+      await expect(auction.settleAuction(1))
+        .to.be.revertedWithCustomError(auction, "AuctionNotEnded");
+      await time.increase(600);
+      await auction.settleAuction(1);
+
+      expect(await dataNFT.ownerOf(1)).to.equal(publisher.address);
+      expect(await mockLink.balanceOf(seller.address)).to.equal(ethers.parseEther("12"));
+      expect((await marketplace.datasets(1)).isForSale).to.be.false;
+
+      const before = await mockLink.balanceOf(buyer.address);
+      await auction.connect(buyer).withdrawRefund();
+      expect(await mockLink.balanceOf(buyer.address)).to.equal(before + ethers.parseEther("10"));
+    });
+
+    it("Should sell a Dutch auction at the decayed price", async function () {
+      await auction.connect(seller).createDutchAuction(1, ethers.parseEther("100"), ethers.parseEther("20"), 1000);
+      await time.increase(499);
+
+      // One second later (the buy transaction) the price has decayed by half
+      await auction.connect(buyer).buyDutch(1, ethers.parseEther("100"));
+      expect(await dataNFT.ownerOf(1)).to.equal(buyer.address);
+      expect(await mockLink.balanceOf(seller.address)).to.equal(ethers.parseEther("60"));
+    });
+
+    it("Should hold auctions through a pause instead of failing them", async function () {
+      await auction.connect(seller).createEnglishAuction(1, ethers.parseEther("10"), ethers.parseEther("1"), 3600);
+      await auction.connect(buyer).bid(1, ethers.parseEther("10"));
+      await time.increase(3600);
+
+      await marketplace.pause();
+      await expect(auction.settleAuction(1)).to.be.revertedWithCustomError(auction, "TradingPaused");
+      await marketplace.unpause();
+      await dataNFT.pause();
+      await expect(auction.settleAuction(1)).to.be.revertedWithCustomError(auction, "TradingPaused");
+      expect((await auction.auctions(1)).active).to.be.true;
+
+      await dataNFT.unpause();
+      await expect(auction.settleAuction(1))
+        .to.emit(auction, "AuctionSettled")
+        .withArgs(1, buyer.address, ethers.parseEther("10"));
+      expect(await dataNFT.ownerOf(1)).to.equal(buyer.address);
+    });
+
+    it("Should not sell a stale Dutch auction after the NFT changed hands", async function () {
+      await auction.connect(seller).createDutchAuction(1, ethers.parseEther("100"), ethers.parseEther("20"), 1000);
+      await time.increase(1000);
+
+      await dataNFT.connect(seller).transferFrom(seller.address, buyer.address, 1);
+      expect(await auction.isStale(1)).to.be.true;
+      await expect(auction.connect(publisher).buyDutch(1, ethers.parseEther("20")))
+        .to.be.revertedWithCustomError(auction, "AuctionStale");
+
+      // Re-acquiring the NFT does not revive the auction at its old floor price
+      await dataNFT.connect(buyer).transferFrom(buyer.address, seller.address, 1);
+      await expect(auction.connect(publisher).buyDutch(1, ethers.parseEther("20")))
+        .to.be.revertedWithCustomError(auction, "AuctionStale");
+
+      await expect(auction.connect(publisher).cancelAuction(1))
+        .to.emit(auction, "AuctionCancelled")
+        .withArgs(1);
+    });
+
+    it("Should treat an auction whose NFT was burned as stale", async function () {
+      await auction.connect(seller).createEnglishAuction(1, ethers.parseEther("10"), ethers.parseEther("1"), 3600);
+      await auction.connect(buyer).bid(1, ethers.parseEther("10"));
+
+      await dataNFT.burnNFT(1);
+      expect(await auction.isStale(1)).to.be.true;
+      await expect(auction.connect(seller).cancelAuction(1))
+        .to.emit(auction, "AuctionCancelled")
+        .withArgs(1);
+      expect(await auction.isStale(1)).to.be.false;
+      expect(await auction.pendingReturns(buyer.address)).to.equal(ethers.parseEther("10"));
+    });
+
+    it("Should let a new owner replace a stale auction, refunding its bidder", async function () {
+      await auction.connect(seller).createEnglishAuction(1, ethers.parseEther("10"), ethers.parseEther("1"), 3600);
+      await auction.connect(buyer).bid(1, ethers.parseEther("10"));
+      await expect(auction.connect(publisher).cancelAuction(1))
+        .to.be.revertedWithCustomError(auction, "NotSeller");
+
+      await dataNFT.connect(seller).transferFrom(seller.address, publisher.address, 1);
+      await dataNFT.connect(publisher).approve(await marketplace.getAddress(), 1);
+      await expect(auction.connect(publisher).createDutchAuction(1, ethers.parseEther("50"), ethers.parseEther("5"), 1000))
+        .to.emit(auction, "AuctionCancelled")
+        .withArgs(1);
+
+      expect((await auction.auctions(1)).seller).to.equal(publisher.address);
+      expect(await auction.pendingReturns(buyer.address)).to.equal(ethers.parseEther("10"));
+      await expect(auction.connect(publisher).createDutchAuction(1, ethers.parseEther("50"), ethers.parseEther("5"), 1000))
+        .to.be.revertedWithCustomError(auction, "AuctionAlreadyActive");
+    });
+  });
+
+  describe("Signed orders", function () {
+    const types = {
+      SellOrder: [
+        { name: "tokenId", type: "uint256" },
+        { name: "price", type: "uint256" },
+        { name: "currency", type: "address" },
+        { name: "expiry", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "seller", type: "address" }
+      ]
+    };
+    let domain, order;
+
+    beforeEach(async function () {
+      await mintAttested(seller, datasetCID, datasetHash);
+      await dataNFT.connect(seller).setApprovalForAll(await marketplace.getAddress(), true);
+      await mockLink.connect(buyer).approve(await marketplace.getAddress(), price);
+
+      domain = {
+        name: "DataX Marketplace",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await marketplace.getAddress()
+      };
+      order = {
+        tokenId: 1,
+        price,
+        currency: await mockLink.getAddress(),
+        expiry: (await time.latest()) + 3600,
+        nonce: 0,
+        seller: seller.address
+      };
+    });
+
+    it("Should settle a signed order exactly once", async function () {
+      const signature = await seller.signTypedData(domain, types, order);
+
+      await expect(marketplace.connect(buyer).fulfillOrder(order, signature))
+        .to.emit(marketplace, "OrderFulfilled");
+      expect(await dataNFT.ownerOf(1)).to.equal(buyer.address);
+      expect(await mockLink.balanceOf(seller.address)).to.equal(price);
+
+      await expect(marketplace.connect(buyer).fulfillOrder(order, signature))
+        .to.be.revertedWithCustomError(marketplace, "OrderInvalidated");
+    });
+
+    it("Should reject forged, cancelled and nonce-invalidated orders", async function () {
+      const forged = await buyer.signTypedData(domain, types, order);
+      await expect(marketplace.connect(buyer).fulfillOrder(order, forged))
+        .to.be.revertedWithCustomError(marketplace, "InvalidSignature");
+
+      const signature = await seller.signTypedData(domain, types, order);
+      await marketplace.connect(seller).cancelOrder(order);
+      await expect(marketplace.connect(buyer).fulfillOrder(order, signature))
+        .to.be.revertedWithCustomError(marketplace, "OrderInvalidated");
+
+      const next = { ...order, nonce: 1 };
+      const nextSignature = await seller.signTypedData(domain, types, next);
+      await marketplace.connect(seller).invalidateOrderNonces(2);
+      await expect(marketplace.connect(buyer).fulfillOrder(next, nextSignature))
+        .to.be.revertedWithCustomError(marketplace, "OrderInvalidated");
+    });
+  });
+
+  describe("Currencies", function () {
+    beforeEach(async function () {
+      await mintAttested(seller, datasetCID, datasetHash);
+      await dataNFT.linkDatatoken(1, await dataToken.getAddress());
+      await dataNFT.connect(seller).setApprovalForAll(await marketplace.getAddress(), true);
+    });
+
+    it("Should sell for native ETH and refund the excess", async function () {
+      const ethPrice = ethers.parseEther("1");
+      await marketplace.connect(seller)["listDataset(uint256,uint256,address,uint256)"](1, ethPrice, ethers.ZeroAddress, 0);
+
+      await expect(marketplace.connect(buyer).buyDataset(1, { value: ethPrice - 1n }))
+        .to.be.revertedWithCustomError(marketplace, "IncorrectEtherValue");
+      await expect(marketplace.connect(buyer).buyDataset(1, { value: ethPrice * 2n }))
+        .to.changeEtherBalances([buyer, seller], [-ethPrice, ethPrice]);
+      expect(await dataNFT.ownerOf(1)).to.equal(buyer.address);
+    });
+
+    it("Should sell for the dataset's own DataToken", async function () {
+      const dataTokenAddress = await dataToken.getAddress();
+      await marketplace.connect(seller)["listDataset(uint256,uint256,address,uint256)"](1, price, dataTokenAddress, 0);
+
+      await dataToken.transfer(buyer.address, price);
+      await dataToken.connect(buyer).approve(await marketplace.getAddress(), price);
+      await marketplace.connect(buyer).buyDataset(1);
+      expect(await dataToken.balanceOf(seller.address)).to.equal(price);
+    });
+
+    it("Should reject currencies outside the allowlist", async function () {
+      const MockLINK = await ethers.getContractFactory("MockLINK");
+      const other = await (await MockLINK.deploy()).waitForDeployment();
+      const otherAddress = await other.getAddress();
+
+      await expect(
+        marketplace.connect(seller)["listDataset(uint256,uint256,address,uint256)"](1, price, otherAddress, 0)
+      ).to.be.revertedWithCustomError(marketplace, "UnsupportedCurrency");
+
+      await marketplace.setCurrencyAllowed(otherAddress, true);
+      await marketplace.connect(seller)["listDataset(uint256,uint256,address,uint256)"](1, price, otherAddress, 0);
+      expect((await marketplace.datasets(1)).currency).to.equal(otherAddress);
+    });
+  });
+
+  describe("Revenue splits", function () {
+    let splitter;
+
+    beforeEach(async function () {
+      await mintAttested(seller, datasetCID, datasetHash);
+      await dataNFT.linkDatatoken(1, await dataToken.getAddress());
+      await dataNFT.connect(seller).setApprovalForAll(await marketplace.getAddress(), true);
+
+      const RevenueSplitter = await ethers.getContractFactory("RevenueSplitter");
+      splitter = await (await RevenueSplitter.deploy(await dataNFT.getAddress())).waitForDeployment();
+      await dataNFT.setRevenueSplitter(await splitter.getAddress());
+    });
+
+    it("Should accrue sale proceeds to contributors until the creator sells", async function () {
+      await expect(splitter.connect(buyer).setSplit(1, [buyer.address], [1], false))
+        .to.be.revertedWithCustomError(splitter, "NotTheOwner");
+      await splitter.connect(seller).setSplit(1, [seller.address, publisher.address], [3, 1], false);
+
+      const ethPrice = ethers.parseEther("1");
+      await marketplace.connect(seller)["listDataset(uint256,uint256,address,uint256)"](1, ethPrice, ethers.ZeroAddress, 0);
+      await expect(marketplace.connect(buyer).buyDataset(1, { value: ethPrice }))
+        .to.changeEtherBalances([seller, splitter], [0, ethPrice]);
+
+      expect(await splitter.balances(seller.address, ethers.ZeroAddress)).to.equal(ethPrice * 3n / 4n);
+      await expect(splitter.connect(publisher).withdraw(ethers.ZeroAddress))
+        .to.changeEtherBalance(publisher, ethPrice / 4n);
+      await expect(splitter.connect(publisher).withdraw(ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(splitter, "NothingToWithdraw");
+
+      // The unlocked split lapses once its creator no longer owns the NFT
+      expect(await splitter.hasSplit(1)).to.be.false;
+      await dataNFT.connect(buyer).setApprovalForAll(await marketplace.getAddress(), true);
+      await marketplace.connect(buyer).listDataset(1, price);
+      await mockLink.mint(owner.address, price);
+      await mockLink.approve(await marketplace.getAddress(), price);
+      await expect(marketplace.buyDataset(1)).to.changeTokenBalance(mockLink, buyer, price);
+    });
+
+    it("Should hold a locked split in every currency until the NFT is sold", async function () {
+      await splitter.connect(seller).setSplit(1, [seller.address, publisher.address], [1, 1], true);
+      await expect(splitter.connect(seller).setSplit(1, [seller.address], [1], false))
+        .to.be.revertedWithCustomError(splitter, "SplitLocked");
+      await expect(splitter.connect(seller).clearSplit(1))
+        .to.be.revertedWithCustomError(splitter, "SplitLocked");
+
+      // Datatoken payments for access go through the split as well
+      const accessFee = ethers.parseEther("2");
+      await dataToken.approve(await dataNFT.getAddress(), accessFee * 2n);
+      await dataNFT.accessData(1, accessFee);
+
+      // The sale that ends the seller's ownership is still split
+      await marketplace.connect(seller).listDataset(1, price);
+      await mockLink.connect(buyer).approve(await marketplace.getAddress(), price);
+      await marketplace.connect(buyer).buyDataset(1);
+
+      const linkAddress = await mockLink.getAddress();
+      const dataTokenAddress = await dataToken.getAddress();
+      expect(await splitter.balances(publisher.address, linkAddress)).to.equal(price / 2n);
+      expect(await splitter.balances(publisher.address, dataTokenAddress)).to.equal(accessFee / 2n);
+      await expect(splitter.connect(seller).withdraw(linkAddress))
+        .to.changeTokenBalance(mockLink, seller, price / 2n);
+
+      // The new owner is paid directly and may set a split of their own
+      expect(await splitter.hasSplit(1)).to.be.false;
+      await dataNFT.connect(buyer).revokeAccess(1, owner.address);
+      await expect(dataNFT.accessData(1, accessFee))
+        .to.changeTokenBalance(dataToken, buyer, accessFee);
+      await splitter.connect(buyer).setSplit(1, [buyer.address], [1], false);
+      expect(await splitter.hasSplit(1)).to.be.true;
+    });
+
+    it("Should fix a split at mint until the NFT first changes hands", async function () {
+      const otherHash = ethers.keccak256(ethers.toUtf8Bytes("dataset-0"));
+      await attestDataset(aiVerification, otherHash, "ipfs://QmDataset0", seller.address);
+      await expect(splitter.connect(publisher).mintWithSplit(
+        tokenURI, "ipfs://QmDataset0", otherHash, false,
+        seller.address, ethers.ZeroAddress, 0, [seller.address, publisher.address], [3, 1]
+      )).to.be.revertedWithCustomError(splitter, "NotThePublisher");
+      await splitter.connect(seller).mintWithSplit(
+        tokenURI, "ipfs://QmDataset0", otherHash, false,
+        seller.address, ethers.ZeroAddress, 0, [seller.address, publisher.address], [3, 1]
+      );
+      const [recipients, shares, locked] = await splitter.getSplit(2);
+      expect(recipients).to.deep.equal([seller.address, publisher.address]);
+      expect(shares).to.deep.equal([3n, 1n]);
+      expect(locked).to.be.true;
+      expect(await dataNFT.ownerOf(2)).to.equal(seller.address);
+      expect(await splitter.hasSplit(2)).to.be.true;
+      await expect(splitter.connect(seller).clearSplit(2))
+        .to.be.revertedWithCustomError(splitter, "SplitLocked");
+
+      await dataNFT.connect(seller).transferFrom(seller.address, buyer.address, 2);
+      expect(await splitter.hasSplit(2)).to.be.false;
+      await splitter.connect(buyer).clearSplit(2);
+    });
+  });
+
+  describe("Derivative datasets", function () {
+    it("Should pay parent owners their upstream share of a sale", async function () {
+      const DatasetLineage = await ethers.getContractFactory("DatasetLineage");
+      const lineage = await (await DatasetLineage.deploy(await dataNFT.getAddress())).waitForDeployment();
+      await dataNFT.setLineage(await lineage.getAddress());
+      await lineage.setUpstreamShareBps(2000);
+
+      await mintAttested(publisher, datasetCID, datasetHash);
+      await lineage.connect(publisher).setAllowsDerivatives(1, true);
+      await attestDataset(aiVerification, ethers.keccak256(ethers.toUtf8Bytes("dataset-0")), "ipfs://QmDataset0", seller.address);
+      await dataNFT.connect(seller)["mintNFT(string,string,bytes32,bool,address,address,uint96,uint256[],bool)"](
+        tokenURI, "ipfs://QmDataset0", ethers.keccak256(ethers.toUtf8Bytes("dataset-0")), false,
+        seller.address, ethers.ZeroAddress, 0, [1], false
+      );
+      await dataNFT.linkDatatoken(2, await dataToken.getAddress());
+
+      const ethPrice = ethers.parseEther("1");
+      await dataNFT.connect(seller).setApprovalForAll(await marketplace.getAddress(), true);
+      await marketplace.connect(seller)["listDataset(uint256,uint256,address,uint256)"](2, ethPrice, ethers.ZeroAddress, 0);
+      await expect(marketplace.connect(buyer).buyDataset(2, { value: ethPrice }))
+        .to.changeEtherBalances([publisher, seller], [ethPrice / 5n, ethPrice - ethPrice / 5n]);
+    });
+  });
+
+  describe("Listing lifecycle", function () {
+    beforeEach(async function () {
+      await mintAndList(0);
+      await mockLink.connect(buyer).approve(await marketplace.getAddress(), price);
+    });
+
+    it("Should let the seller reprice and cancel a listing", async function () {
+      await expect(marketplace.connect(buyer).updatePrice(1, 1))
+        .to.be.revertedWithCustomError(marketplace, "NotOwner");
+      await expect(marketplace.connect(seller).updatePrice(1, price / 2n))
+        .to.emit(marketplace, "ListingPriceUpdated")
+        .withArgs(1, price, price / 2n);
+
+      await expect(marketplace.connect(seller).cancelListing(1))
+        .to.emit(marketplace, "ListingCancelled")
+        .withArgs(1, seller.address);
+      await expect(marketplace.connect(buyer).buyDataset(1))
+        .to.be.revertedWithCustomError(marketplace, "NotForSale");
+    });
+
+    it("Should refuse expired listings", async function () {
+      const expiresAt = (await time.latest()) + 60;
+      await marketplace.connect(seller)["listDataset(uint256,uint256,address,uint256)"](
+        1, price, await mockLink.getAddress(), expiresAt
+      );
+      await time.increaseTo(expiresAt);
+      await expect(marketplace.connect(buyer).buyDataset(1))
+        .to.be.revertedWithCustomError(marketplace, "ListingExpired");
+    });
+
+    it("Should invalidate a listing left stale by an outside transfer", async function () {
+      await dataNFT.connect(seller).transferFrom(seller.address, publisher.address, 1);
+      expect(await marketplace.isListingStale(1)).to.be.true;
+
+      await expect(marketplace.connect(buyer).buyDataset(1))
+        .to.emit(marketplace, "ListingInvalidated")
+        .withArgs(1, seller.address);
+      expect((await marketplace.datasets(1)).isForSale).to.be.false;
+      expect(await dataNFT.ownerOf(1)).to.equal(publisher.address);
+      expect(await mockLink.balanceOf(seller.address)).to.equal(0);
+    });
+  });
+
+  describe("Emergency controls", function () {
+    beforeEach(async function () {
+      await mintAndList(0);
+      await mockLink.connect(buyer).approve(await marketplace.getAddress(), price);
+    });
+
+    it("Should halt listing, buying and offers while paused", async function () {
+      await expect(marketplace.connect(buyer).pause()).to.be.reverted;
+      await marketplace.pause();
+
+      await expect(marketplace.connect(buyer).buyDataset(1)).to.be.revertedWith("Pausable: paused");
+      await expect(marketplace.connect(buyer).makeOffer(1, price, (await time.latest()) + 3600))
+        .to.be.revertedWith("Pausable: paused");
+      await expect(marketplace.connect(seller).listDataset(1, price)).to.be.revertedWith("Pausable: paused");
+      // Sellers can still manage their listings
+      await marketplace.connect(seller).updatePrice(1, price);
+
+      await marketplace.unpause();
+      await marketplace.connect(buyer).buyDataset(1);
+      expect(await dataNFT.ownerOf(1)).to.equal(buyer.address);
+    });
+
+    it("Should halt trading while DataNFT is paused", async function () {
+      await dataNFT.pause();
+      await expect(marketplace.connect(buyer).buyDataset(1))
+        .to.be.revertedWithCustomError(marketplace, "DataNFTPaused");
+      expect(await marketplace.paused()).to.be.false;
+
+      // The marketplace can still be paused on top of DataNFT
+      await marketplace.pause();
+      expect(await marketplace.paused()).to.be.true;
+      await dataNFT.unpause();
+      await expect(marketplace.connect(buyer).buyDataset(1)).to.be.revertedWith("Pausable: paused");
+
+      await marketplace.unpause();
+      await marketplace.connect(buyer).buyDataset(1);
+      expect(await dataNFT.ownerOf(1)).to.equal(buyer.address);
+    });
+
+    it("Should refuse to list or sell a frozen dataset", async function () {
+      await dataNFT.freezeDataset(1, 2, "ipfs://QmTakedownNotice");
+
+      await expect(marketplace.connect(buyer).buyDataset(1))
+        .to.be.revertedWithCustomError(marketplace, "DatasetIsFrozen")
+        .withArgs(2);
+      await expect(marketplace.connect(seller).listDataset(1, price))
+        .to.be.revertedWithCustomError(marketplace, "DatasetIsFrozen");
+      await expect(marketplace.connect(buyer).buyBatch([1], false))
+        .to.emit(marketplace, "BatchItemSkipped");
+      expect(await dataNFT.ownerOf(1)).to.equal(seller.address);
+
+      await dataNFT.unfreezeDataset(1);
+      await marketplace.connect(buyer).buyDataset(1);
+      expect(await dataNFT.ownerOf(1)).to.equal(buyer.address);
+    });
+  });
+
+  describe("Catalogue views", function () {
+    let lens;
+    const anyListing = { seller: ethers.ZeroAddress, anyCurrency: true, currency: ethers.ZeroAddress, minPrice: 0, maxPrice: 0 };
+
+    beforeEach(async function () {
+      const MarketplaceLens = await ethers.getContractFactory("MarketplaceLens");
+      lens = await (await MarketplaceLens.deploy(await marketplace.getAddress())).waitForDeployment();
+
+      const marketplaceAddress = await marketplace.getAddress();
+      const linkAddress = await mockLink.getAddress();
+      const listings = [
+        [seller, ethers.parseEther("10"), linkAddress],
+        [seller, ethers.parseEther("1"), ethers.ZeroAddress],
+        [publisher, ethers.parseEther("50"), linkAddress]
+      ];
+      for (let i = 0; i < listings.length; i++) {
+        const [lister, listPrice, currency] = listings[i];
+        await mintAttested(lister, `ipfs://QmDataset${i}`, ethers.keccak256(ethers.toUtf8Bytes(`dataset-${i}`)));
+        await dataNFT.linkDatatoken(i + 1, await dataToken.getAddress());
+        await dataNFT.connect(lister).setApprovalForAll(marketplaceAddress, true);
+        await marketplace.connect(lister)["listDataset(uint256,uint256,address,uint256)"](i + 1, listPrice, currency, 0);
+      }
+    });
+
+    it("Should page through active listings with their CID and datatoken", async function () {
+      expect(await marketplace.activeListingCount()).to.equal(3);
+
+      const [page, nextOffset] = await lens.getActiveListings(anyListing, 0, 2);
+      expect(page.length).to.equal(2);
+      expect(nextOffset).to.equal(2);
+      expect(page[0].datasetCID).to.equal("ipfs://QmDataset0");
+      expect(page[0].datatoken).to.equal(await dataToken.getAddress());
+
+      const [rest, end] = await lens.getActiveListings(anyListing, nextOffset, 2);
+      expect(rest.length).to.equal(1);
+      expect(rest[0].listing.id).to.equal(3);
+      expect(end).to.equal(3);
+    });
+
+    it("Should filter by seller, currency and price and drop sold listings", async function () {
+      let [page] = await lens.getActiveListings({ ...anyListing, seller: seller.address }, 0, 10);
+      expect(page.map((item) => item.listing.id)).to.deep.equal([1n, 2n]);
+
+      [page] = await lens.getActiveListings({ ...anyListing, anyCurrency: false, currency: ethers.ZeroAddress }, 0, 10);
+      expect(page.map((item) => item.listing.id)).to.deep.equal([2n]);
+
+      [page] = await lens.getActiveListings({ ...anyListing, minPrice: ethers.parseEther("5"), maxPrice: ethers.parseEther("20") }, 0, 10);
+      expect(page.map((item) => item.listing.id)).to.deep.equal([1n]);
+
+      await marketplace.connect(buyer).buyDataset(2, { value: ethers.parseEther("1") });
+      expect(await marketplace.activeListingCount()).to.equal(2);
+      [page] = await lens.getActiveListings(anyListing, 0, 10);
+      expect(page.map((item) => item.listing.id)).to.deep.equal([1n, 3n]);
+    });
+
+    it("Should skip expired and frozen listings and let anyone remove expired ones", async function () {
+      await expect(lens.getActiveListings(anyListing, 0, 0))
+        .to.be.revertedWithCustomError(lens, "InvalidLimit");
+
+      const expiresAt = (await time.latest()) + 60;
+      await marketplace.connect(seller)["listDataset(uint256,uint256,address,uint256)"](
+        1, ethers.parseEther("10"), await mockLink.getAddress(), expiresAt
+      );
+      await dataNFT.freezeDataset(3, 1, "ipfs://QmNotice");
+      await expect(marketplace.connect(buyer).removeExpiredListing(1))
+        .to.be.revertedWithCustomError(marketplace, "ListingNotExpired");
+
+      await time.increaseTo(expiresAt);
+      const [page, nextOffset] = await lens.getActiveListings(anyListing, 0, 10);
+      expect(page.map((item) => item.listing.id)).to.deep.equal([2n]);
+      expect(nextOffset).to.equal(3);
+
+      const [, frozenCID] = await marketplace.getDataset(3);
+      expect(frozenCID).to.equal("");
+      const frozen = await lens.getListing(3);
+      expect(frozen.listing.isForSale).to.be.false;
+      expect(frozen.datasetCID).to.equal("");
+
+      await expect(marketplace.connect(buyer).removeExpiredListing(1))
+        .to.emit(marketplace, "ListingInvalidated")
+        .withArgs(1, seller.address);
+      expect(await marketplace.activeListingCount()).to.equal(2);
+    });
+  });
+
+  describe("Batch checkout", function () {
+    beforeEach(async function () {
+      const marketplaceAddress = await marketplace.getAddress();
+      for (let i = 0; i < 3; i++) {
+        await mintAttested(seller, `ipfs://QmDataset${i}`, ethers.keccak256(ethers.toUtf8Bytes(`dataset-${i}`)));
+        await dataNFT.linkDatatoken(i + 1, await dataToken.getAddress());
+      }
+      await dataNFT.connect(seller).setApprovalForAll(marketplaceAddress, true);
+      await marketplace.connect(seller).listDataset(1, price);
+      await marketplace.connect(seller)["listDataset(uint256,uint256,address,uint256)"](2, ethers.parseEther("1"), ethers.ZeroAddress, 0);
+      await marketplace.connect(seller).listDataset(3, price);
+      await mockLink.connect(buyer).approve(marketplaceAddress, price * 2n);
+    });
+
+    it("Should buy every listing in one transaction", async function () {
+      const datasetCIDs = await marketplace.connect(buyer).buyBatch.staticCall([1, 2, 3], true, { value: ethers.parseEther("1") });
+      expect(datasetCIDs).to.deep.equal(["ipfs://QmDataset0", "ipfs://QmDataset1", "ipfs://QmDataset2"]);
+
+      await marketplace.connect(buyer).buyBatch([1, 2, 3], true, { value: ethers.parseEther("1") });
+      for (const id of [1, 2, 3]) {
+        expect(await dataNFT.ownerOf(id)).to.equal(buyer.address);
+      }
+      expect(await mockLink.balanceOf(seller.address)).to.equal(price * 2n);
+    });
+
+    it("Should revert all-or-nothing batches with an unavailable listing", async function () {
+      await marketplace.connect(seller).cancelListing(3);
+      await expect(marketplace.connect(buyer).buyBatch([1, 2, 3], true, { value: ethers.parseEther("1") }))
+        .to.be.revertedWithCustomError(marketplace, "ListingUnavailable")
+        .withArgs(3);
+    });
+
+    it("Should skip unavailable listings and refund their ETH in best-effort mode", async function () {
+      await marketplace.connect(seller).cancelListing(2);
+
+      const tx = marketplace.connect(buyer).buyBatch([1, 2, 3], false, { value: ethers.parseEther("1") });
+      await expect(tx).to.emit(marketplace, "BatchItemSkipped").withArgs(2, buyer.address);
+      await expect(tx).to.changeEtherBalance(buyer, 0);
+      expect(await dataNFT.ownerOf(2)).to.equal(seller.address);
+      expect(await dataNFT.ownerOf(3)).to.equal(buyer.address);
+    });
+  });
+
+  describe("Permits", function () {
+    let chainId, deadline;
+
+    beforeEach(async function () {
+      await mintAttested(seller, datasetCID, datasetHash);
+      await dataNFT.linkDatatoken(1, await dataToken.getAddress());
+      chainId = (await ethers.provider.getNetwork()).chainId;
+      deadline = (await time.latest()) + 3600;
+    });
+
+    it("Should list with an EIP-4494 NFT permit and buy with an ERC-2612 permit", async function () {
+      const marketplaceAddress = await marketplace.getAddress();
+      const dataTokenAddress = await dataToken.getAddress();
+
+      const nftSignature = await seller.signTypedData(
+        { name: "DataNFT", version: "1", chainId, verifyingContract: await dataNFT.getAddress() },
+        { Permit: [
+          { name: "spender", type: "address" },
+          { name: "tokenId", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ] },
+        { spender: marketplaceAddress, tokenId: 1, nonce: await dataNFT.nonces(1), deadline }
+      );
+      await marketplace.connect(seller).listDatasetWithPermit(1, price, dataTokenAddress, 0, deadline, nftSignature);
+      expect(await dataNFT.getApproved(1)).to.equal(marketplaceAddress);
+
+      await dataToken.transfer(buyer.address, price);
+      const paymentSignature = ethers.Signature.from(await buyer.signTypedData(
+        { name: "DataToken", version: "1", chainId, verifyingContract: dataTokenAddress },
+        { Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ] },
+        { owner: buyer.address, spender: marketplaceAddress, value: price, nonce: 0, deadline }
+      ));
+      await marketplace.connect(buyer).buyDatasetWithPermit(
+        1, deadline, paymentSignature.v, paymentSignature.r, paymentSignature.s
+      );
+
+      expect(await dataNFT.ownerOf(1)).to.equal(buyer.address);
+      expect(await dataToken.balanceOf(seller.address)).to.equal(price);
+      expect(await dataNFT.nonces(1)).to.equal(2); // Bumped by the mint and the sale
+    });
+
+    it("Should reject NFT permits not signed by the owner", async function () {
+      const signature = await buyer.signTypedData(
+        { name: "DataNFT", version: "1", chainId, verifyingContract: await dataNFT.getAddress() },
+        { Permit: [
+          { name: "spender", type: "address" },
+          { name: "tokenId", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ] },
+        { spender: buyer.address, tokenId: 1, nonce: 1, deadline }
+      );
+      await expect(dataNFT.permit(buyer.address, 1, deadline, signature))
+        .to.be.revertedWithCustomError(dataNFT, "InvalidPermitSignature");
+    });
+  });
+});